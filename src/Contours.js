@@ -0,0 +1,302 @@
+/**
+ * Post-processing of the traced contours: smoothing, right-angle regularization and vertex spacing.
+ * Contours are closed rings of points (the last point is equal to the first one)
+ * @module ol/interaction/MagicWand/Contours
+ */
+
+/**
+ * @typedef {Object} ContourProcessingOptions
+ * @property {string} [smoothing] Smoothing of the rings: "chaikin" (corner cutting) or "bspline" (cubic B-spline subdivision)
+ * @property {number} [smoothingIterations=2] Amount of the smoothing iterations (each iteration doubles the amount of vertices)
+ * @property {string} [regularize] Regularization of the rings: "orthogonal" (all edges are parallel to two perpendicular axes) or "rectangle" (minimum-area rectangle)
+ * @property {number} [minSpacing] Min distance between the neighboring vertices (in the units of the points)
+ */
+
+/**
+ * Remove the closing point of the ring
+ * @param {Array<ol/interaction/MagicWand~Point>} points
+ * @return {Array<ol/interaction/MagicWand~Point>}
+ */
+function open(points) {
+    var len = points.length;
+    if (len > 1 && points[0].x === points[len - 1].x && points[0].y === points[len - 1].y) return points.slice(0, len - 1);
+    return points.slice();
+}
+
+/**
+ * Add the closing point to the ring
+ * @param {Array<ol/interaction/MagicWand~Point>} points
+ * @return {Array<ol/interaction/MagicWand~Point>}
+ */
+function close(points) {
+    points.push({ x: points[0].x, y: points[0].y });
+    return points;
+}
+
+/**
+ * Signed area of the ring (shoelace formula)
+ * @param {Array<ol/interaction/MagicWand~Point>} points Ring without the closing point
+ * @return {number}
+ */
+function signedArea(points) {
+    var i, j, a = 0,
+        len = points.length;
+    for (i = 0, j = len - 1; i < len; j = i++) {
+        a += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+    }
+    return a / 2;
+}
+
+/**
+ * Chaikin's corner cutting: each edge is replaced by the points at 1/4 and 3/4 of it
+ * @param {Array<ol/interaction/MagicWand~Point>} points Closed ring
+ * @param {number} [iterations=2]
+ * @return {Array<ol/interaction/MagicWand~Point>} Closed ring
+ */
+export function smoothChaikin(points, iterations = 2) {
+    var i, k, p, q, len,
+        ps = open(points);
+    if (ps.length < 3) return points;
+
+    for (k = 0; k < iterations; k++) {
+        var res = [];
+        len = ps.length;
+        for (i = 0; i < len; i++) {
+            p = ps[i];
+            q = ps[(i + 1) % len];
+            res.push({ x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y });
+            res.push({ x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y });
+        }
+        ps = res;
+    }
+
+    return close(ps);
+}
+
+/**
+ * Uniform cubic B-spline subdivision: the edge midpoints are added and the vertices are moved to (p[i-1] + 6 * p[i] + p[i+1]) / 8
+ * @param {Array<ol/interaction/MagicWand~Point>} points Closed ring
+ * @param {number} [iterations=2]
+ * @return {Array<ol/interaction/MagicWand~Point>} Closed ring
+ */
+export function smoothBSpline(points, iterations = 2) {
+    var i, k, a, p, q, len,
+        ps = open(points);
+    if (ps.length < 3) return points;
+
+    for (k = 0; k < iterations; k++) {
+        var res = [];
+        len = ps.length;
+        for (i = 0; i < len; i++) {
+            a = ps[(i + len - 1) % len];
+            p = ps[i];
+            q = ps[(i + 1) % len];
+            res.push({ x: (a.x + 6 * p.x + q.x) / 8, y: (a.y + 6 * p.y + q.y) / 8 });
+            res.push({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 });
+        }
+        ps = res;
+    }
+
+    return close(ps);
+}
+
+/**
+ * Dominant orientation of the edges modulo 90 degrees (length-weighted mean of the quadrupled angles)
+ * @param {Array<ol/interaction/MagicWand~Point>} points Ring without the closing point
+ * @return {number} Angle in radians
+ */
+function getDominantAngle(points) {
+    var i, p, q, dx, dy, l, a,
+        sin = 0,
+        cos = 0,
+        len = points.length;
+    for (i = 0; i < len; i++) {
+        p = points[i];
+        q = points[(i + 1) % len];
+        dx = q.x - p.x;
+        dy = q.y - p.y;
+        l = Math.sqrt(dx * dx + dy * dy);
+        a = 4 * Math.atan2(dy, dx);
+        sin += l * Math.sin(a);
+        cos += l * Math.cos(a);
+    }
+    return Math.atan2(sin, cos) / 4;
+}
+
+/**
+ * Rotate the points around the origin
+ * @param {Array<ol/interaction/MagicWand~Point>} points
+ * @param {number} angle In radians
+ * @return {Array<ol/interaction/MagicWand~Point>}
+ */
+function rotate(points, angle) {
+    var sin = Math.sin(angle),
+        cos = Math.cos(angle);
+    return points.map(p => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos }));
+}
+
+/**
+ * Orthogonalize the ring: the edges are snapped to the dominant orientation or to its perpendicular,
+ * the neighboring edges of the same direction are merged and the vertices are the intersections of the merged edges
+ * @param {Array<ol/interaction/MagicWand~Point>} points Closed ring
+ * @return {Array<ol/interaction/MagicWand~Point>} Closed ring (the source ring if it can't be orthogonalized)
+ */
+export function orthogonalize(points) {
+    var i, k, p, q, dx, dy, l, horizontal, run, len,
+        ps = open(points);
+    if (ps.length < 4) return points;
+
+    var angle = getDominantAngle(ps);
+    ps = rotate(ps, -angle);
+    len = ps.length;
+
+    // runs of the edges with the same direction: {boolean} horizontal, {number} sum - weighted coordinate, {number} length
+    var runs = [];
+    for (i = 0; i < len; i++) {
+        p = ps[i];
+        q = ps[(i + 1) % len];
+        dx = q.x - p.x;
+        dy = q.y - p.y;
+        l = Math.sqrt(dx * dx + dy * dy);
+        if (l == 0) continue;
+        horizontal = Math.abs(dx) >= Math.abs(dy);
+        run = runs[runs.length - 1];
+        if (!run || run.horizontal != horizontal) {
+            run = { horizontal: horizontal, sum: 0, length: 0 };
+            runs.push(run);
+        }
+        run.sum += l * (horizontal ? (p.y + q.y) / 2 : (p.x + q.x) / 2);
+        run.length += l;
+    }
+    if (runs.length > 1 && runs[0].horizontal == runs[runs.length - 1].horizontal) { // the ring starts in the middle of the run
+        run = runs.pop();
+        runs[0].sum += run.sum;
+        runs[0].length += run.length;
+    }
+    if (runs.length < 4) return points;
+
+    // the runs alternate, so each vertex is the intersection of a horizontal and a vertical line
+    var res = [];
+    for (k = 0; k < runs.length; k++) {
+        p = runs[k];
+        q = runs[(k + 1) % runs.length];
+        res.push(p.horizontal ? { x: q.sum / q.length, y: p.sum / p.length } : { x: p.sum / p.length, y: q.sum / q.length });
+    }
+
+    return close(rotate(res, angle));
+}
+
+/**
+ * Convex hull of the points (monotone chain)
+ * @param {Array<ol/interaction/MagicWand~Point>} points
+ * @return {Array<ol/interaction/MagicWand~Point>} Hull vertices
+ */
+function convexHull(points) {
+    var ps = points.slice().sort((a, b) => a.x - b.x || a.y - b.y),
+        cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x),
+        lower = [],
+        upper = [],
+        i;
+    for (i = 0; i < ps.length; i++) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], ps[i]) <= 0) lower.pop();
+        lower.push(ps[i]);
+    }
+    for (i = ps.length - 1; i >= 0; i--) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], ps[i]) <= 0) upper.pop();
+        upper.push(ps[i]);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Replace the ring by the minimum-area rectangle containing it (one of the rectangle sides is collinear with an edge of the convex hull)
+ * @param {Array<ol/interaction/MagicWand~Point>} points Closed ring
+ * @return {Array<ol/interaction/MagicWand~Point>} Closed ring with the same orientation
+ */
+export function fitRectangle(points) {
+    var i, j, p, q, a, r, area, minX, minY, maxX, maxY,
+        ps = open(points),
+        hull = convexHull(ps),
+        best = null;
+    if (hull.length < 3) return points;
+
+    for (i = 0; i < hull.length; i++) {
+        p = hull[i];
+        q = hull[(i + 1) % hull.length];
+        a = Math.atan2(q.y - p.y, q.x - p.x);
+        r = rotate(hull, -a);
+        minX = minY = Infinity;
+        maxX = maxY = -Infinity;
+        for (j = 0; j < r.length; j++) {
+            if (r[j].x < minX) minX = r[j].x;
+            if (r[j].x > maxX) maxX = r[j].x;
+            if (r[j].y < minY) minY = r[j].y;
+            if (r[j].y > maxY) maxY = r[j].y;
+        }
+        area = (maxX - minX) * (maxY - minY);
+        if (!best || area < best.area) best = { area: area, angle: a, minX: minX, minY: minY, maxX: maxX, maxY: maxY };
+    }
+
+    var res = rotate([
+        { x: best.minX, y: best.minY },
+        { x: best.maxX, y: best.minY },
+        { x: best.maxX, y: best.maxY },
+        { x: best.minX, y: best.maxY }
+    ], best.angle);
+    if ((signedArea(res) > 0) != (signedArea(ps) > 0)) res.reverse();
+
+    return close(res);
+}
+
+/**
+ * Remove the vertices closer than the min spacing to the previous vertex
+ * @param {Array<ol/interaction/MagicWand~Point>} points Closed ring
+ * @param {number} spacing Min distance between the neighboring vertices
+ * @return {Array<ol/interaction/MagicWand~Point>} Closed ring (the source ring if less than 3 vertices remain)
+ */
+export function enforceMinSpacing(points, spacing) {
+    var i, p, dx, dy,
+        ps = open(points),
+        ss = spacing * spacing,
+        res = [ps[0]];
+    for (i = 1; i < ps.length; i++) {
+        p = res[res.length - 1];
+        dx = ps[i].x - p.x;
+        dy = ps[i].y - p.y;
+        if (dx * dx + dy * dy >= ss) res.push(ps[i]);
+    }
+    // the closing edge
+    while (res.length > 1) {
+        dx = res[res.length - 1].x - res[0].x;
+        dy = res[res.length - 1].y - res[0].y;
+        if (dx * dx + dy * dy >= ss) break;
+        res.pop();
+    }
+    if (res.length < 3) return points;
+
+    return close(res.map(p => ({ x: p.x, y: p.y })));
+}
+
+/**
+ * Apply the post-processing to the outer and inner contours in the order: regularization, smoothing, min spacing
+ * @param {Array<ol/interaction/MagicWand~Contour>} contours
+ * @param {ContourProcessingOptions} options
+ * @return {Array<ol/interaction/MagicWand~Contour>} New contours (the same labels)
+ */
+export function processContours(contours, options) {
+    var iterations = options.smoothingIterations == null ? 2 : options.smoothingIterations;
+    if (options.smoothing && options.smoothing != "chaikin" && options.smoothing != "bspline") throw new Error(`Unknown smoothing: ${options.smoothing}`);
+    if (options.regularize && options.regularize != "orthogonal" && options.regularize != "rectangle") throw new Error(`Unknown regularization: ${options.regularize}`);
+
+    return contours.map(c => {
+        var ps = c.points;
+        if (options.regularize == "orthogonal") ps = orthogonalize(ps);
+        else if (options.regularize == "rectangle") ps = fitRectangle(ps);
+        if (options.smoothing == "chaikin") ps = smoothChaikin(ps, iterations);
+        else if (options.smoothing == "bspline") ps = smoothBSpline(ps, iterations);
+        if (options.minSpacing > 0) ps = enforceMinSpacing(ps, options.minSpacing);
+        return { inner: c.inner, label: c.label, points: ps, initialCount: c.initialCount || c.points.length };
+    });
+}
@@ -0,0 +1,132 @@
+/**
+ * Readers of the raw raster values for the snapshot (selection by data values instead of rendered colors)
+ * @module ol/interaction/MagicWand/DataReader
+ */
+
+import TileState from 'ol/TileState';
+import { containsCoordinate } from 'ol/extent';
+import { toSize } from 'ol/size';
+
+/**
+ * @typedef {Object} DataRequest
+ * @property {number} width Snapshot width (in pixels)
+ * @property {number} height Snapshot height (in pixels)
+ * @property {number} resolution View resolution
+ * @property {ol/proj/Projection} projection View projection
+ * @property {function(number, number): ol/coordinate/Coordinate} getCoordinate Coordinate of the snapshot pixel (x, y) in the view projection
+ */
+
+/**
+ * @typedef {Object} DataSnapshot
+ * @property {Float32Array} data Band values of the pixels: pixel by pixel, band by band (NaN - no data)
+ * @property {number} bands Amount of bands per pixel
+ */
+
+/**
+ * A function that reads the band values of the snapshot pixels
+ * @typedef {function(DataRequest): (DataSnapshot|Promise<DataSnapshot>)} DataReaderFunction
+ */
+
+/**
+ * Wait for the tile loading (starts the loading if necessary)
+ * @param {ol/Tile} tile
+ * @return {Promise}
+ */
+function whenLoaded(tile) {
+    let isLoading = () => tile.getState() == TileState.IDLE || tile.getState() == TileState.LOADING;
+    if (!isLoading()) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        let listener = () => {
+            if (isLoading()) return;
+            tile.removeEventListener("change", listener);
+            resolve();
+        };
+        tile.addEventListener("change", listener);
+        if (tile.getState() == TileState.IDLE) tile.load();
+    });
+}
+
+/**
+ * Create a reader of the tile source with the data tiles (e.g. 'ol/source/DataTile' and 'ol/source/GeoTIFF'):
+ * tiles of the view resolution are loaded and their values are sampled for each pixel of the snapshot
+ * @param {ol/source/Tile} source Source which tiles have the method 'getData' (typed array of the band values)
+ * @return {DataReaderFunction}
+ */
+export function createDataTileReader(source) {
+    return (request) => {
+        var x, y, i, c, t,
+            w = request.width,
+            h = request.height,
+            projection = request.projection,
+            grid = source.getTileGridForProjection ? source.getTileGridForProjection(projection) : source.getTileGrid(),
+            z = grid.getZForResolution(request.resolution, source.zDirection || 0),
+            gridExtent = grid.getExtent(),
+            extent = projection.getExtent(),
+            wrapX = extent && projection.canWrapX() && (!source.getWrapX || source.getWrapX()),
+            worldWidth = wrapX ? extent[2] - extent[0] : 0,
+            coords = new Float64Array(w * h * 2), // pixel coordinates (in the main world)
+            indices = new Int32Array(w * h).fill(-1), // index of the pixel tile (-1 - no tile)
+            tiles = [],
+            keys = {},
+            tileCoord = [0, 0, 0],
+            last = null;
+
+        // find the tiles of all pixels
+        for (y = 0; y < h; y++) {
+            for (x = 0; x < w; x++) {
+                c = request.getCoordinate(x + 0.5, y + 0.5);
+                if (wrapX) c = [((c[0] - extent[0]) % worldWidth + worldWidth) % worldWidth + extent[0], c[1]];
+                i = y * w + x;
+                coords[i * 2] = c[0];
+                coords[i * 2 + 1] = c[1];
+                if (gridExtent && !containsCoordinate(gridExtent, c)) continue;
+
+                grid.getTileCoordForCoordAndZ(c, z, tileCoord);
+                let key = tileCoord[1] + "/" + tileCoord[2];
+                if (key !== last) { // the neighboring pixels are mostly in the same tile
+                    last = key;
+                    if (!(key in keys)) {
+                        t = source.getTile(z, tileCoord[1], tileCoord[2], 1, projection);
+                        keys[key] = t ? tiles.push({ tile: t, extent: grid.getTileCoordExtent(tileCoord) }) - 1 : -1;
+                    }
+                }
+                indices[i] = keys[key];
+            }
+        }
+
+        return Promise.all(tiles.map(t => whenLoaded(t.tile))).then(() => {
+            var bands = 0;
+
+            tiles.forEach((t) => {
+                let data = t.tile.getState() == TileState.LOADED && t.tile.getData ? t.tile.getData() : null;
+                if (!data || data.length == null) return; // the tile has no values (e.g. an image tile)
+                t.data = data;
+                t.size = t.tile.getSize ? t.tile.getSize() : toSize(grid.getTileSize(z));
+                t.bands = Math.round(data.length / (t.size[0] * t.size[1]));
+                if (t.bands > bands) bands = t.bands;
+            });
+            if (bands == 0) bands = 1;
+
+            var j, k, px, py, tw, th, ext,
+                n = w * h,
+                res = new Float32Array(n * bands).fill(NaN);
+
+            for (i = 0; i < n; i++) {
+                if (indices[i] < 0) continue;
+                t = tiles[indices[i]];
+                if (!t.data) continue;
+                ext = t.extent;
+                tw = t.size[0];
+                th = t.size[1];
+                px = Math.floor((coords[i * 2] - ext[0]) / (ext[2] - ext[0]) * tw);
+                py = Math.floor((ext[3] - coords[i * 2 + 1]) / (ext[3] - ext[1]) * th);
+                if (px < 0 || px >= tw || py < 0 || py >= th) continue;
+                k = (py * tw + px) * t.bands;
+                for (j = 0; j < t.bands; j++) res[i * bands + j] = t.data[k + j];
+            }
+
+            return { data: res, bands: bands };
+        });
+    };
+}
@@ -0,0 +1,414 @@
+/**
+ * @module ol/interaction/MagicWand/FloodFill
+ */
+
+/**
+ * @typedef {Object} Image
+ * @property {Uint8ClampedArray|Uint8Array|Float32Array} data Color data (or band values, see 'createBandMetric')
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bytes Amount of bytes per pixel
+ */
+
+/**
+ * A function that takes the image and the index of the sample pixel and returns
+ * a distance function of the pixel index (distance from the pixel color to the sample color).
+ * The distance is compared with the color threshold
+ * @typedef {function(Image, number): function(number): number} ColorMetricFunction
+ */
+
+/**
+ * @typedef {Object} HsvWeights
+ * @property {number} [hue=1] Weight of the hue difference
+ * @property {number} [saturation=0.25] Weight of the saturation difference
+ * @property {number} [value=0.25] Weight of the value (brightness) difference
+ */
+
+/**
+ * Cache of the CIELAB colors for images
+ * @type {WeakMap<Uint8ClampedArray, Float32Array>}
+ */
+const labCache = new WeakMap();
+
+/**
+ * Convert sRGB component [0-255] to the linear component [0-1]
+ * @param {number} c
+ * @return {number}
+ */
+function toLinear(c) {
+    c /= 255;
+    return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+/**
+ * @param {number} t
+ * @return {number}
+ */
+function labF(t) {
+    return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+}
+
+/**
+ * Convert sRGB color to CIELAB (D65) and write it to the array
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {Float32Array} res
+ * @param {number} k Index in the result array
+ */
+function toLab(r, g, b, res, k) {
+    r = toLinear(r);
+    g = toLinear(g);
+    b = toLinear(b);
+    var fx = labF((r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047),
+        fy = labF(r * 0.2126 + g * 0.7152 + b * 0.0722),
+        fz = labF((r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883);
+    res[k] = 116 * fy - 16;
+    res[k + 1] = 500 * (fx - fy);
+    res[k + 2] = 200 * (fy - fz);
+}
+
+/**
+ * Convert sRGB color to HSV: hue [0-360), saturation and value [0-255]
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @return {Array<number>}
+ */
+function toHsv(r, g, b) {
+    var max = Math.max(r, g, b),
+        min = Math.min(r, g, b),
+        d = max - min,
+        h = 0;
+    if (d > 0) {
+        if (max == r) h = ((g - b) / d) % 6;
+        else if (max == g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+    return [h, max == 0 ? 0 : d / max * 255, max];
+}
+
+/**
+ * Create HSV metric: the hue difference (scaled to [0-255] and reduced for unsaturated colors)
+ * combined with the weighted saturation and value differences
+ * @param {HsvWeights} [weights]
+ * @return {ColorMetricFunction}
+ */
+export function createHsvMetric(weights = {}) {
+    var wh = weights.hue == null ? 1 : weights.hue,
+        ws = weights.saturation == null ? 0.25 : weights.saturation,
+        wv = weights.value == null ? 0.25 : weights.value;
+
+    var metric = (image, s) => {
+        var data = image.data,
+            bytes = image.bytes,
+            k = s * bytes,
+            sample = toHsv(data[k], data[k + 1], data[k + 2]);
+
+        return (i) => {
+            i *= bytes;
+            var c = toHsv(data[i], data[i + 1], data[i + 2]),
+                dh = Math.abs(c[0] - sample[0]);
+            if (dh > 180) dh = 360 - dh;
+            // hue is meaningless for gray colors
+            dh = dh / 180 * 255 * Math.min(c[1], sample[1]) / 255 * wh;
+            var ds = (c[1] - sample[1]) * ws,
+                dv = (c[2] - sample[2]) * wv;
+            return Math.sqrt(dh * dh + ds * ds + dv * dv);
+        };
+    };
+    metric.hsvWeights = { hue: wh, saturation: ws, value: wv }; // allows to recreate the metric (e.g. in the worker)
+    return metric;
+}
+
+/**
+ * Create a metric for the raw raster values (see 'ol/interaction/MagicWand/DataReader'):
+ * max difference of the band values in data units, the pixels without data (NaN) are never similar
+ * @param {Array<number>} [bands=[0]] Indices of the compared bands
+ * @return {ColorMetricFunction}
+ */
+export function createBandMetric(bands = [0]) {
+    var n = bands.length;
+
+    var metric = (image, s) => {
+        var data = image.data,
+            bytes = image.bytes,
+            k = s * bytes,
+            sample = bands.map(b => data[k + b]);
+
+        return (i) => {
+            i *= bytes;
+            var j, d, max = 0;
+            for (j = 0; j < n; j++) {
+                d = data[i + bands[j]] - sample[j];
+                if (d !== d) return Infinity; // NaN - no data
+                if (d < 0) d = -d;
+                if (d > max) max = d;
+            }
+            return max;
+        };
+    };
+    metric.dataBands = bands.slice(); // allows to recreate the metric (e.g. in the worker)
+    return metric;
+}
+
+/**
+ * Color similarity metrics for the flood fill
+ * @enum {ColorMetricFunction}
+ */
+export const ColorMetric = {
+    /**
+     * Max difference of the red, green and blue channels (the same as 'magic-wand-tool')
+     */
+    rgb: (image, s) => {
+        var data = image.data,
+            bytes = image.bytes,
+            k = s * bytes,
+            r = data[k],
+            g = data[k + 1],
+            b = data[k + 2];
+
+        return (i) => {
+            i *= bytes;
+            var dr = data[i] - r,
+                dg = data[i + 1] - g,
+                db = data[i + 2] - b;
+            if (dr < 0) dr = -dr;
+            if (dg < 0) dg = -dg;
+            if (db < 0) db = -db;
+            return dr > dg ? (dr > db ? dr : db) : (dg > db ? dg : db);
+        };
+    },
+    /**
+     * Perceptual difference CIE76 (Delta E in CIELAB)
+     */
+    lab: (image, s) => {
+        var data = image.data,
+            bytes = image.bytes,
+            lab = labCache.get(data);
+
+        if (!lab || lab.length != image.width * image.height * 3) {
+            lab = new Float32Array(image.width * image.height * 3).fill(NaN); // colors are converted on demand
+            labCache.set(data, lab);
+        }
+
+        var get = (i) => {
+            var k = i * 3;
+            if (lab[k] !== lab[k]) { // NaN - not converted
+                var j = i * bytes;
+                toLab(data[j], data[j + 1], data[j + 2], lab, k);
+            }
+            return k;
+        };
+
+        var k = get(s),
+            l = lab[k],
+            a = lab[k + 1],
+            b = lab[k + 2];
+
+        return (i) => {
+            var k = get(i),
+                dl = lab[k] - l,
+                da = lab[k + 1] - a,
+                db = lab[k + 2] - b;
+            return Math.sqrt(dl * dl + da * da + db * db);
+        };
+    },
+    /**
+     * Hue difference with the saturation and value weights (see 'createHsvMetric')
+     */
+    hsv: createHsvMetric(),
+    /**
+     * Difference of the luminance (Rec. 601)
+     */
+    luminance: (image, s) => {
+        var data = image.data,
+            bytes = image.bytes,
+            k = s * bytes,
+            y = 0.299 * data[k] + 0.587 * data[k + 1] + 0.114 * data[k + 2];
+
+        return (i) => {
+            i *= bytes;
+            var d = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] - y;
+            return d < 0 ? -d : d;
+        };
+    }
+};
+
+/**
+ * Create a binary mask on the image by color threshold
+ * Algorithm: Scanline flood fill (http://en.wikipedia.org/wiki/Flood_fill)
+ * @param {Image} image Image data
+ * @param {number} px X of the start pixel
+ * @param {number} py Y of the start pixel
+ * @param {number} colorThreshold Max distance to the sample color
+ * @param {Uint8Array} [mask] Mask of visited points
+ * @param {boolean} [includeBorders=false] Indicate whether to include borders pixels
+ * @param {ColorMetricFunction} [metric=ColorMetric.rgb] Color similarity metric
+ * @return {Object} mask: {Uint8Array} data, {int} width, {int} height, {Object} bounds (null if the start pixel is visited or nothing is selected)
+ */
+export function floodFill(image, px, py, colorThreshold, mask, includeBorders = false, metric = ColorMetric.rgb) {
+    var x, k, newY, el, xr, xl, dy, checkY,
+        w = image.width,
+        h = image.height,
+        maxX = -1, minX = w + 1, maxY = -1, minY = h + 1,
+        i = py * w + px, // start point index in the mask data
+        result = new Uint8Array(w * h), // result mask
+        visited = new Uint8Array(mask ? mask : w * h); // mask of visited points
+
+    if (visited[i] === 1) return null;
+
+    var distance = metric(image, i);
+
+    var stack = [{ y: py, left: px - 1, right: px + 1, dir: 1 }], // first scanning line
+        head = 0; // lines are scanned in the queue order (the border pixels depend on it)
+    do {
+        el = stack[head++]; // get line for scanning
+        if (head > 1024 && head * 2 > stack.length) {
+            stack = stack.slice(head);
+            head = 0;
+        }
+
+        checkY = false;
+        dy = el.y * w;
+        for (x = el.left + 1; x < el.right; x++) {
+            k = dy + x; // point index in the mask data
+
+            if (visited[k] === 1) continue; // check whether the point has been visited
+
+            if (includeBorders) {
+                checkY = true; // the border point is included to the mask too
+                result[k] = 1;
+                visited[k] = 1;
+                if (distance(k) > colorThreshold) continue; // border point: don't walk from it
+            } else {
+                if (distance(k) > colorThreshold) continue; // compare the color of the sample
+                checkY = true;
+                result[k] = 1; // mark a new point in mask
+                visited[k] = 1; // mark a new point as visited
+            }
+
+            xl = x - 1;
+            // walk to left side starting with the left neighbor
+            while (xl > -1) {
+                k = dy + xl;
+                if (visited[k] === 1) break; // check whether the point has been visited
+                if (includeBorders) {
+                    result[k] = 1;
+                    visited[k] = 1;
+                    xl--;
+                    if (distance(k) > colorThreshold) break;
+                } else {
+                    if (distance(k) > colorThreshold) break;
+                    result[k] = 1;
+                    visited[k] = 1;
+                    xl--;
+                }
+            }
+            xr = x + 1;
+            // walk to right side starting with the right neighbor
+            while (xr < w) {
+                k = dy + xr;
+                if (visited[k] === 1) break; // check whether the point has been visited
+                if (includeBorders) {
+                    result[k] = 1;
+                    visited[k] = 1;
+                    xr++;
+                    if (distance(k) > colorThreshold) break;
+                } else {
+                    if (distance(k) > colorThreshold) break;
+                    result[k] = 1;
+                    visited[k] = 1;
+                    xr++;
+                }
+            }
+
+            // check minmax for X
+            if (xl < minX) minX = xl + 1;
+            if (xr > maxX) maxX = xr - 1;
+
+            newY = el.y - el.dir;
+            if (newY >= 0 && newY < h) { // add two scanning lines in the opposite direction (y - dir) if necessary
+                if (xl < el.left) stack.push({ y: newY, left: xl, right: el.left, dir: -el.dir }); // from "new left" to "current left"
+                if (el.right < xr) stack.push({ y: newY, left: el.right, right: xr, dir: -el.dir }); // from "current right" to "new right"
+            }
+            newY = el.y + el.dir;
+            if (newY >= 0 && newY < h) { // add the scanning line in the direction (y + dir) if necessary
+                if (xl < xr) stack.push({ y: newY, left: xl, right: xr, dir: el.dir }); // from "new left" to "new right"
+            }
+        }
+        // check minmax for Y if necessary
+        if (checkY) {
+            if (el.y < minY) minY = el.y;
+            if (el.y > maxY) maxY = el.y;
+        }
+    } while (head < stack.length);
+
+    if (maxX < 0) return null; // e.g. the start pixel has no data
+
+    return {
+        data: result,
+        width: w,
+        height: h,
+        bounds: {
+            minX: minX,
+            minY: minY,
+            maxX: maxX,
+            maxY: maxY
+        }
+    };
+}
+
+/**
+ * Create a binary mask on the image by color threshold regardless of the connectivity:
+ * all pixels which are similar to the color of the start pixel
+ * @param {Image} image Image data
+ * @param {number} px X of the start pixel
+ * @param {number} py Y of the start pixel
+ * @param {number} colorThreshold Max distance to the sample color
+ * @param {Uint8Array} [mask] Mask of visited points (they are not selected)
+ * @param {ColorMetricFunction} [metric=ColorMetric.rgb] Color similarity metric
+ * @return {Object} mask: {Uint8Array} data, {int} width, {int} height, {Object} bounds (null if the start pixel is visited or nothing is selected)
+ */
+export function selectByColor(image, px, py, colorThreshold, mask, metric = ColorMetric.rgb) {
+    var x, y, k, dy,
+        w = image.width,
+        h = image.height,
+        maxX = -1, minX = w + 1, maxY = -1, minY = h + 1,
+        i = py * w + px, // start point index in the mask data
+        result = new Uint8Array(w * h); // result mask
+
+    if (mask && mask[i] === 1) return null;
+
+    var distance = metric(image, i);
+
+    for (y = 0; y < h; y++) {
+        dy = y * w;
+        for (x = 0; x < w; x++) {
+            k = dy + x;
+            if (mask && mask[k] === 1) continue; // skip the visited point
+            if (distance(k) > colorThreshold) continue; // compare the color of the sample
+            result[k] = 1;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            maxY = y;
+        }
+    }
+
+    if (maxX < 0) return null; // e.g. the start pixel has no data
+
+    return {
+        data: result,
+        width: w,
+        height: h,
+        bounds: {
+            minX: minX,
+            minY: minY,
+            maxX: maxX,
+            maxY: maxY
+        }
+    };
+}
@@ -0,0 +1,136 @@
+/**
+ * Minimal GeoTIFF encoder (uncompressed, one strip) for the mask exports
+ * @module ol/interaction/MagicWand/GeoTiff
+ */
+
+/**
+ * @typedef {Object} GeoTiffOptions
+ * @property {Uint8Array|Float32Array} data Pixel values: pixel by pixel, band by band
+ * @property {number} width
+ * @property {number} height
+ * @property {number} [bands=1] Amount of bands per pixel
+ * @property {boolean} [rgba=false] Bands are red, green, blue and alpha (4 bands of Uint8Array)
+ * @property {Array<number>} transform Geotransform as in the world file: [A, D, B, E, C, F] (C, F - center of the top-left pixel)
+ * @property {ol/proj/Projection} [projection] Projection of the coordinates (EPSG code is written to the geokeys)
+ */
+
+const SHORT = 3,
+    LONG = 4,
+    DOUBLE = 12;
+
+const TYPE_SIZE = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+/**
+ * Create the geokeys: model type, raster type (pixel is area) and EPSG code of the projection
+ * @param {ol/proj/Projection} projection
+ * @return {Array<number>} GeoKeyDirectory
+ */
+function getGeoKeys(projection) {
+    let keys = [[1025, 1]], // GTRasterTypeGeoKey: RasterPixelIsArea
+        match = projection ? /^EPSG:(\d+)$/.exec(projection.getCode()) : null,
+        geographic = projection && projection.getUnits() == "degrees";
+
+    keys.unshift([1024, geographic ? 2 : 1]); // GTModelTypeGeoKey: geographic or projected
+    if (match) keys.push([geographic ? 2048 : 3072, +match[1]]); // GeographicTypeGeoKey or ProjectedCSTypeGeoKey
+
+    let res = [1, 1, 0, keys.length];
+    keys.forEach(k => res.push(k[0], 0, 1, k[1]));
+    return res;
+}
+
+/**
+ * Encode the raster to GeoTIFF
+ * @param {GeoTiffOptions} options
+ * @return {ArrayBuffer}
+ */
+export function encodeGeoTiff(options) {
+    var w = options.width,
+        h = options.height,
+        bands = options.bands || 1,
+        float = options.data instanceof Float32Array,
+        bits = float ? 32 : 8,
+        t = options.transform,
+        repeat = (v) => new Array(bands).fill(v);
+
+    // pixel corner of the top-left pixel (the world file has the pixel center)
+    var x0 = t[4] - (t[0] + t[2]) / 2,
+        y0 = t[5] - (t[1] + t[3]) / 2;
+
+    var tags = [
+        [256, LONG, [w]], // ImageWidth
+        [257, LONG, [h]], // ImageLength
+        [258, SHORT, repeat(bits)], // BitsPerSample
+        [259, SHORT, [1]], // Compression: none
+        [262, SHORT, [options.rgba ? 2 : 1]], // PhotometricInterpretation: RGB or BlackIsZero
+        [273, LONG, [0]], // StripOffsets (set below)
+        [277, SHORT, [bands]], // SamplesPerPixel
+        [278, LONG, [h]], // RowsPerStrip
+        [279, LONG, [options.data.byteLength]], // StripByteCounts
+        [284, SHORT, [1]] // PlanarConfiguration: chunky
+    ];
+    if (options.rgba) tags.push([338, SHORT, [2]]); // ExtraSamples: unassociated alpha
+    else if (bands > 1) tags.push([338, SHORT, new Array(bands - 1).fill(0)]); // ExtraSamples: unspecified
+    tags.push([339, SHORT, repeat(float ? 3 : 1)]); // SampleFormat: float or unsigned integer
+
+    if (t[1] == 0 && t[2] == 0) { // north-up
+        tags.push([33550, DOUBLE, [t[0], -t[3], 0]]); // ModelPixelScale
+        tags.push([33922, DOUBLE, [0, 0, 0, x0, y0, 0]]); // ModelTiepoint
+    } else {
+        tags.push([34264, DOUBLE, [t[0], t[2], 0, x0, t[1], t[3], 0, y0, 0, 0, 0, 0, 0, 0, 0, 1]]); // ModelTransformation
+    }
+    tags.push([34735, SHORT, getGeoKeys(options.projection)]); // GeoKeyDirectory
+
+    // layout: header, IFD, values which don't fit into the entries, image data
+    var i, j, size,
+        ifdSize = 2 + tags.length * 12 + 4,
+        offset = 8 + ifdSize,
+        offsets = tags.map(tag => {
+            size = TYPE_SIZE[tag[1]] * tag[2].length;
+            if (size <= 4) return -1;
+            let res = offset;
+            offset += size + (size % 2); // word alignment
+            return res;
+        });
+
+    var dataOffset = offset + (offset % 8 ? 8 - offset % 8 : 0);
+    tags[5][2][0] = dataOffset;
+
+    var buffer = new ArrayBuffer(dataOffset + options.data.byteLength),
+        view = new DataView(buffer);
+
+    view.setUint16(0, 0x4949); // "II" - little endian
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, tags.length, true);
+
+    var write = (pos, type, value) => {
+        if (type == SHORT) view.setUint16(pos, value, true);
+        else if (type == LONG) view.setUint32(pos, value, true);
+        else view.setFloat64(pos, value, true);
+    };
+
+    tags.forEach((tag, k) => {
+        let pos = 10 + k * 12,
+            type = tag[1],
+            values = tag[2],
+            s = TYPE_SIZE[type];
+        view.setUint16(pos, tag[0], true);
+        view.setUint16(pos + 2, type, true);
+        view.setUint32(pos + 4, values.length, true);
+        if (offsets[k] < 0) {
+            for (j = 0; j < values.length; j++) write(pos + 8 + j * s, type, values[j]);
+        } else {
+            view.setUint32(pos + 8, offsets[k], true);
+            for (j = 0; j < values.length; j++) write(offsets[k] + j * s, type, values[j]);
+        }
+    });
+    view.setUint32(10 + tags.length * 12, 0, true); // no next IFD
+
+    if (float) {
+        for (i = 0; i < options.data.length; i++) view.setFloat32(dataOffset + i * 4, options.data[i], true);
+    } else {
+        new Uint8Array(buffer, dataOffset).set(options.data);
+    }
+
+    return buffer;
+}
@@ -3,10 +3,35 @@
  */
 
 import BaseObject from 'ol/Object';
+import Map from 'ol/Map';
+import View from 'ol/View';
 import { Pointer as PointerInteraction } from 'ol/interaction';
 import { unByKey } from 'ol/Observable'
+import MapBrowserEventType from 'ol/MapBrowserEventType';
+import Event from 'ol/events/Event';
+import Feature from 'ol/Feature';
+import Layer from 'ol/layer/Layer';
+import { Polygon, MultiPolygon, MultiLineString } from 'ol/geom';
+import { fromExtent as polygonFromExtent } from 'ol/geom/Polygon';
+import { getUid } from 'ol/util';
+import { asArray, toString as colorToString } from 'ol/color';
+import { boundingExtent, buffer as bufferExtent, containsExtent } from 'ol/extent';
+import { getArea } from 'ol/sphere';
+import GeoJSON from 'ol/format/GeoJSON';
+import WKT from 'ol/format/WKT';
+import KML from 'ol/format/KML';
+import GPX from 'ol/format/GPX';
 
 import MagicWandLib from 'magic-wand-tool';
+import { floodFill, selectByColor, ColorMetric, createBandMetric } from './FloodFill';
+import { WorkerEngine } from './WorkerEngine';
+import { encodeGeoTiff } from './GeoTiff';
+import { processContours } from './Contours';
+
+export { floodFill, selectByColor, ColorMetric, createHsvMetric, createBandMetric } from './FloodFill';
+export { WorkerEngine } from './WorkerEngine';
+export { createDataTileReader } from './DataReader';
+export { smoothChaikin, smoothBSpline, orthogonalize, fitRectangle, enforceMinSpacing } from './Contours';
 
 /**
  * @typedef {Object} Point
@@ -36,6 +61,79 @@ import MagicWandLib from 'magic-wand-tool';
  * @property {number} [bytes]
  * @property {Bounds} [bounds]
  * @property {Point} globalOffset
+ * @property {number} [resolution] View resolution at which the mask was created
+ * @property {string} [projection] Code of the view projection at which the mask was created
+ */
+
+/**
+ * @typedef {Object} SerializedMask
+ * @property {number} width
+ * @property {number} height
+ * @property {Bounds} bounds
+ * @property {Point} globalOffset
+ * @property {number} resolution View resolution at which the mask was created (null if unknown)
+ * @property {string} projection Code of the view projection (null if unknown)
+ * @property {Array<number>} runs Run-length encoded data: lengths of the alternating runs of 0 and 1 (starts with 0)
+ */
+
+/**
+ * @typedef {Object} SerializedSelection
+ * @property {string} type Always "ol-magic-wand/mask"
+ * @property {number} version Version of the format
+ * @property {SerializedMask} mask Current mask (null if the selection is empty)
+ * @property {Object} [history] History: {number} current - index of the current mask, {Array<SerializedMask>} masks
+ */
+
+/**
+ * @typedef {Object} RasterExportOptions
+ * @property {string} [format="png"] Raster format: "png" (with the world file) or "geotiff" (single band)
+ * @property {string} [area="mask"] Exported area: "mask" (bounds of the mask) or "snapshot" (the viewport with the snapshot buffer)
+ * @property {boolean} [snapshot=false] Export the snapshot of the same area too (RGBA or the raw raster values in GeoTIFF)
+ * @property {number} [maskValue=255] Value of the selected pixels (the other pixels are 0)
+ */
+
+/**
+ * @typedef {Object} RasterExport
+ * @property {Blob} mask Mask image
+ * @property {Blob} [snapshot] Snapshot image of the same area (if requested)
+ * @property {number} width Image width (in pixels)
+ * @property {number} height Image height (in pixels)
+ * @property {Array<number>} transform Geotransform as in the world file: [A, D, B, E, C, F] (C, F - center of the top-left pixel)
+ * @property {string} worldFile Content of the world file (e.g. ".pgw" for PNG)
+ * @property {ol/extent/Extent} extent Extent of the image in the view projection
+ * @property {string} projection Code of the view projection
+ */
+
+/**
+ * @typedef {Object} ExportSelectionOptions
+ * @property {ol/proj/ProjectionLike} [dataProjection] Projection of the written data (by default - the default projection of the format)
+ * @property {number} [decimals] Max number of decimal places of the coordinates
+ * @property {number} [simplifyTolerant=1] Simplify tolerant in pixels (see 'VectorizeOptions')
+ * @property {number} [simplifyCount=30] Simplify count (see 'VectorizeOptions')
+ * @property {number} [tolerance] Simplify tolerant in map units (overrides 'simplifyTolerant')
+ * @property {string} [smoothing] "chaikin" or "bspline" (see 'VectorizeOptions')
+ * @property {number} [smoothingIterations=2] Amount of the smoothing iterations
+ * @property {string} [regularize] "orthogonal" or "rectangle" (see 'VectorizeOptions')
+ * @property {number} [minSpacing] Min distance between the neighboring vertices in map units
+ * @property {boolean|Object} [properties] Add the properties of the last selection to the features: 'threshold', 'seedColor' and 'timestamp' (ISO string), an object adds its own properties too
+ */
+
+/**
+ * @typedef {Object} CommitOptions
+ * @property {number} [simplifyTolerant=1] Simplify tolerant in pixels (see 'VectorizeOptions')
+ * @property {number} [simplifyCount=30] Simplify count (see 'VectorizeOptions')
+ * @property {number} [tolerance] Simplify tolerant in map units (overrides 'simplifyTolerant')
+ * @property {string} [smoothing] "chaikin" or "bspline" (see 'VectorizeOptions')
+ * @property {number} [smoothingIterations=2] Amount of the smoothing iterations
+ * @property {string} [regularize] "orthogonal" or "rectangle" (see 'VectorizeOptions')
+ * @property {number} [minSpacing] Min distance between the neighboring vertices in map units
+ * @property {boolean} [merge] Merge the selection with the adjacent polygons of the target source (by default - the 'merge' property of the wand)
+ * @property {Object} [properties] Additional properties of the features
+ */
+
+/**
+ * Area of interest for the selections: polygonal geometry, extent, feature(s) or vector source (its current features)
+ * @typedef {ol/geom/Polygon|ol/geom/MultiPolygon|ol/extent/Extent|ol/Feature|Array<ol/Feature|ol/geom/Geometry>|ol/source/Vector} ClipLike
  */
 
 /**
@@ -46,6 +144,25 @@ import MagicWandLib from 'magic-wand-tool';
  * @property {number} [initialCount] Length of the point array before simplifying
  */
 
+/**
+ * @typedef {Object} VectorizeOptions
+ * @property {number} [simplifyTolerant=1] Tool parameter: Simplify tolerant in pixels (see method 'simplifyContours' in 'magic-wand-tool')
+ * @property {number} [simplifyCount=30] Tool parameter: Simplify count (see method 'simplifyContours' in 'magic-wand-tool')
+ * @property {number} [tolerance] Simplify tolerant in map units (overrides 'simplifyTolerant')
+ * @property {string} [smoothing] Smoothing of the rings: "chaikin" (corner cutting, natural features) or "bspline" (cubic B-spline)
+ * @property {number} [smoothingIterations=2] Amount of the smoothing iterations
+ * @property {string} [regularize] Right-angle regularization of the rings (e.g. building footprints): "orthogonal" or "rectangle" (minimum-area rectangle)
+ * @property {number} [minSpacing] Min distance between the neighboring vertices in map units
+ */
+
+/**
+ * @typedef {Object} SelectOptions
+ * @property {number} [threshold] Color threshold [1-255] or in data units for the raw raster values (by default - the initial color threshold of the wand)
+ * @property {MaskOperation} [mode] Combination with the current mask (by default - replace the current mask)
+ * @property {number} [blurRadius] Blur radius [0-15] (by default - the blur radius of the wand)
+ * @property {boolean} [contiguous] Select only the connected area or all similar pixels (by default - the contiguous option of the wand)
+ */
+
 /**
  * @typedef {Object} OffsetMask
  * @property {Uint8Array} data 1-D binary data array
@@ -60,12 +177,38 @@ import MagicWandLib from 'magic-wand-tool';
  * @property {number} width Length of the one world in pixels
  */
 
+/**
+ * Reasons why a layer can't be sampled for the snapshot
+ * @enum {string}
+ */
+export const SampleErrorReason = {
+    /** The layer renderer doesn't expose a canvas (e.g. a layer with a custom render function) */
+    UNSUPPORTED: "unsupported",
+    /** The layer canvas is tainted by cross-origin data (the source has no 'crossOrigin' option or the server doesn't send the CORS headers) */
+    TAINTED: "tainted",
+    /** The data reader has failed (the event has the 'error', the snapshot of the raw raster values isn't created) */
+    READER: "reader"
+};
+
 /**
  * @typedef {Object} TileMaskOptions
  * @property {ol/Map} map Map
  * @property {ol/layer/Layer|Array<ol/layer/Layer>} layers Layer(s) for scanning
  * @property {number} hatchLength Thickness of the stroke (in pixels)
  * @property {number} hatchTimeout Hatching redraw timeout (in ms)
+ * @property {WorkerEngine} [engine] Engine to find the border in the worker
+ * @property {number} [buffer=0] Snapshot margin on each side of the viewport (in pixels)
+ * @property {MaskStyle} [style] Style of the mask rendering
+ * @property {ol/interaction/MagicWand/DataReader~DataReaderFunction} [reader] Reader of the raw raster values for the snapshot (instead of the rendered colors)
+ */
+
+/**
+ * @typedef {Object} MaskStyle
+ * @property {ol/color/Color|string} [fillColor] Color of the selected pixels (e.g. 'rgba(0, 153, 255, 0.2)'), no fill if not specified
+ * @property {Array<ol/color/Color|string>} [antColors=['black', 'white']] Two colors of the border dashes ("marching ants")
+ * @property {number} [strokeWidth=1] Width of the border (in pixels)
+ * @property {boolean} [animated=true] Animate the border dashes (see 'hatchTimeout')
+ * @property {Object<MaskOperation, ol/color/Color|string>} [modeColors] Fill colors when the combination modes are active (e.g. { union: 'rgba(0, 255, 0, 0.2)' })
  */
 
 /**
@@ -74,6 +217,7 @@ import MagicWandLib from 'magic-wand-tool';
  *
  * @fires ol/events/Event#scanStarted
  * @fires ol/events/Event#scanFinished
+ * @fires ol/events/Event#sampleError
  */
 export class TileMask extends BaseObject {
 
@@ -95,24 +239,51 @@ export class TileMask extends BaseObject {
         this.layers = null;
 
         /**
-         * Binary mask
+         * Binary mask at the current view resolution for the rendering (restricted by the viewport if it's too large)
          * @type {Mask}
          */
         this.mask = null;
 
         /**
-         * Array of indices of a boundary points in the mask
+         * Binary mask at the resolution at which it was created
+         * @type {Mask}
+         */
+        this.sourceMask = null;
+
+        /**
+         * Border of the mask: {Mask} mask, {Array<number>} indices - indices of the boundary points in the mask data
          * @private
-         * @type {Array<number>}
+         * @type {Object}
          */
         this.border_ = null;
 
+        /**
+         * Mask which border is being found in the worker
+         * @private
+         * @type {Mask}
+         */
+        this.borderRequest_ = null;
+
         /**
          * @private
          * @type {number}
          */
         this.hatchInterval_ = null;
 
+        /**
+         * Normalized style of the mask (colors are RGBA arrays with the alpha [0-255])
+         * @private
+         * @type {Object}
+         */
+        this.style_ = null;
+
+        /**
+         * Active combination mode for the fill color
+         * @private
+         * @type {MaskOperation}
+         */
+        this.styleMode_ = null;
+
         /**
          * @private
          * @type {number}
@@ -129,17 +300,54 @@ export class TileMask extends BaseObject {
          */
         this.hatchTimeout = options.hatchTimeout;
 
+        /**
+         * @type {WorkerEngine}
+         */
+        this.engine = options.engine || null;
+
         /**
          * @type {Size}
          */
         this.size = null;
 
+        /**
+         * Snapshot margin on each side of the viewport (in pixels), the snapshot is rendered offscreen if it's more than 0
+         * @type {number}
+         */
+        this.buffer = options.buffer || 0;
+
+        /**
+         * Reader of the raw raster values, the snapshot contains the band values if it's specified
+         * @type {ol/interaction/MagicWand/DataReader~DataReaderFunction}
+         */
+        this.reader = options.reader || null;
+
+        /**
+         * Size of the snapshot (the viewport with the buffer)
+         * @type {Size}
+         */
+        this.snapshotSize = null;
+
+        /**
+         * Hidden map to render the snapshot with the buffer
+         * @private
+         * @type {ol/Map}
+         */
+        this.offscreenMap_ = null;
+
         /**
          * Context for mask
          * @type {CanvasRenderingContext2D}
          */
         this.context = null;
 
+        /**
+         * Unmanaged layer that shows the mask canvas above all layers of the map
+         * @private
+         * @type {ol/layer/Layer}
+         */
+        this.layer_ = null;
+
         /**
          * Image data without mask
          * @type {Uint8ClampedArray}
@@ -200,9 +408,7 @@ export class TileMask extends BaseObject {
 
         this.setLayers(options.layers);
 
-        if (this.hatchTimeout && this.hatchTimeout > 0) {
-            this.hatchInterval = setInterval(() => this.hatchTick_(), this.hatchTimeout);
-        }
+        this.setStyle(options.style);
     }
 
     /**
@@ -211,6 +417,25 @@ export class TileMask extends BaseObject {
      */
     createCanvas() {
         this.context = document.createElement("canvas").getContext("2d");
+
+        let container = document.createElement("div");
+        container.className = "ol-layer ol-magic-wand-mask"; // differs from "ol-layer" so other layers don't reuse the canvas
+        container.style.position = "absolute";
+        container.style.width = "100%";
+        container.style.height = "100%";
+        container.style.pointerEvents = "none";
+
+        let canvas = this.context.canvas;
+        canvas.style.position = "absolute";
+        canvas.style.left = "0";
+        canvas.style.top = "0";
+        canvas.style.transform = "matrix(1, 0, 0, 1, 0, 0)"; // the canvas is in CSS pixels
+        container.appendChild(canvas);
+
+        this.layer_ = new Layer({
+            render: (frameState) => this.renderFrame_(frameState, container)
+        });
+
         this.setCanvasSize();
         this.clearMask();
     }
@@ -237,9 +462,20 @@ export class TileMask extends BaseObject {
         this.disconnectFromMap();
         this.disconnectFromLayers();
         this.clearMask();
+        this.layer_.dispose();
+        this.layer_ = null;
 
         // stop hatching animation
-        if (this.hatchInterval) clearInterval(this.hatchInterval);
+        if (this.hatchInterval_) clearInterval(this.hatchInterval_);
+        this.hatchInterval_ = null;
+
+        if (this.offscreenMap_) {
+            let div = this.offscreenMap_.getTargetElement();
+            this.clearOffscreenLayers_();
+            this.offscreenMap_.setTarget(null);
+            div.parentNode.removeChild(div);
+            this.offscreenMap_ = null;
+        }
 
         this.layers = null;
         this.contextWithoutMask = null;
@@ -259,15 +495,16 @@ export class TileMask extends BaseObject {
         this.mapKeys_ = [
             this.map.getView().on('change:resolution', this.onViewResChanged_.bind(this)),
             this.map.on('change:size', this.onMapSizeChanged_.bind(this)),
-            this.map.on('moveend', this.onMapMoved_.bind(this)),
-            this.map.on('postrender', this.onPostRender_.bind(this))
+            this.map.on('moveend', this.onMapMoved_.bind(this))
         ];
+        this.layer_.setMap(this.map);
     }
 
     /**
      * @protected
      */
     disconnectFromMap() {
+        this.layer_.setMap(null);
         if (this.mapKeys_) {
             unByKey(this.mapKeys_);
             this.mapKeys_ = null;
@@ -286,8 +523,9 @@ export class TileMask extends BaseObject {
      * @private
      */
     onViewResChanged_() {
-        this.createCanvas();
-        this.setCanvasSize();
+        this.setCanvasSize(); // clear the canvas
+        this.border_ = null;
+        this.updateMaskResolution_();
     }
 
     /**
@@ -363,6 +601,26 @@ export class TileMask extends BaseObject {
         return !this.loading_ && this.snapshot != null;
     }
 
+    /**
+     * Wait for the snapshot (starts the scanning if necessary)
+     * @return {Promise} Resolved when the snapshot is ready
+     */
+    ready() {
+        if (this.isReady()) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            if (!this.loading_) this.scan();
+            if (!this.loading_) {
+                reject(new Error("There are no visible layers for the snapshot"));
+                return;
+            }
+            this.once("scanFinished", () => {
+                if (this.isReady()) resolve();
+                else reject(new Error("The snapshot is not created"));
+            });
+        });
+    }
+
     /**
      * Force to recreate the snapshot
      */
@@ -371,7 +629,7 @@ export class TileMask extends BaseObject {
 
         this.snapshot = null;
 
-        if (!this.hasVisibleLayers_()) return;
+        if (!this.reader && !this.hasVisibleLayers_()) return;
 
         this.dispatchEvent("scanStarted");
 
@@ -380,12 +638,29 @@ export class TileMask extends BaseObject {
 
         this.loading_ = true;
 
+        if (this.reader) {
+            this.scanData_();
+            return;
+        }
+
+        this.bytes = 4;
+
+        if (this.buffer > 0) {
+            this.scanOffscreen_();
+            return;
+        }
+
         this.mapKeyOnceComplete = this.map.once('rendercomplete', () => {
             if (!this.lock_) {
                 this.mapKeyOnceRender = this.map.once('postrender', () => {
 
-                    if (this.getRenderLayers_().length > 0) {
-                        this.snapshot = this.contextWithoutMask.getImageData(0, 0, this.size.w, this.size.h).data;
+                    // read the layers in the same frame (the drawing buffers of WebGL layers are cleared after it)
+                    let layers = this.getRenderLayers_(this.layers);
+                    if (layers.length > 0) {
+                        let res = this.sampleLayers_(this.contextWithoutMask, layers);
+                        this.contextWithoutMask = res.context;
+                        this.snapshot = res.data;
+                        this.snapshotSize = { w: this.size.w, h: this.size.h };
                     }
 
                     this.loading_ = false;
@@ -400,6 +675,140 @@ export class TileMask extends BaseObject {
         this.map.render(); // force to call rendercomplete
     }
 
+    /**
+     * Render the layers with the buffer on the hidden map and create the snapshot
+     * @private
+     */
+    scanOffscreen_() {
+        let w = this.size.w + 2 * this.buffer,
+            h = this.size.h + 2 * this.buffer,
+            view = this.map.getView(),
+            map = this.offscreenMap_;
+
+        if (!map) {
+            let div = document.createElement("div");
+            div.style.position = "absolute";
+            div.style.top = "0";
+            div.style.visibility = "hidden";
+            document.body.appendChild(div);
+            map = this.offscreenMap_ = new Map({ target: div, pixelRatio: 1, controls: [], interactions: [] });
+        }
+
+        let div = map.getTargetElement();
+        div.style.left = `${-w - 10}px`;
+        div.style.width = `${w}px`;
+        div.style.height = `${h}px`;
+        map.updateSize();
+
+        // copies of the layers with the same sources (a layer can't be rendered on two maps)
+        this.clearOffscreenLayers_();
+        let originals = this.layers.slice(),
+            copies = originals.map((layer) => {
+                let copy = new layer.constructor(layer.getProperties());
+                if (layer.getStyle) copy.setStyle(layer.getStyle());
+                map.addLayer(copy);
+                return copy;
+            });
+
+        let state = {
+            projection: view.getProjection(),
+            center: view.getCenter(),
+            resolution: view.getResolution(),
+            rotation: view.getRotation()
+        };
+        map.setView(new View(state));
+
+        this.mapKeyOnceComplete = map.once('rendercomplete', () => {
+            this.mapKeyOnceRender = map.once('postrender', () => {
+                let ctx = document.createElement("canvas").getContext("2d");
+                ctx.canvas.width = w;
+                ctx.canvas.height = h;
+
+                let layers = this.getRenderLayers_(copies, originals);
+                if (layers.length > 0) {
+                    this.snapshot = this.sampleLayers_(ctx, layers, layers.map(l => originals[copies.indexOf(l)])).data;
+                    this.snapshotSize = { w: w, h: h };
+                }
+                this.clearOffscreenLayers_();
+
+                this.loading_ = false;
+
+                this.dispatchEvent("scanFinished");
+
+                // the view is changed while the layers are rendered
+                if (!this.map) return; // disposed
+                let c = this.map.getView() === view ? view.getCenter() : null;
+                if (!c || c[0] != state.center[0] || c[1] != state.center[1] || view.getResolution() != state.resolution || view.getRotation() != state.rotation) this.scan();
+            });
+            map.render(); // read the layers in the next frame
+        });
+        map.render();
+    }
+
+    /**
+     * Remove the copies of the layers from the hidden map and dispose them (the sources are kept)
+     * @private
+     */
+    clearOffscreenLayers_() {
+        let layers = this.offscreenMap_.getLayers(),
+            copies = layers.getArray().slice();
+        layers.clear();
+        copies.forEach(l => l.dispose());
+    }
+
+    /**
+     * Read the raw raster values of the snapshot pixels (the viewport with the buffer)
+     * @private
+     */
+    scanData_() {
+        let map = this.map,
+            buffer = this.buffer,
+            w = this.size.w + 2 * buffer,
+            h = this.size.h + 2 * buffer;
+
+        // wait for the frame of the current view to get the pixel transform
+        this.mapKeyOnceRender = map.once('postrender', () => {
+            let view = map.getView(),
+                c0 = map.getCoordinateFromPixel([-buffer, -buffer]),
+                cx = map.getCoordinateFromPixel([1 - buffer, -buffer]),
+                cy = map.getCoordinateFromPixel([-buffer, 1 - buffer]),
+                request = {
+                    width: w,
+                    height: h,
+                    resolution: view.getResolution(),
+                    projection: view.getProjection(),
+                    getCoordinate: (x, y) => [
+                        c0[0] + x * (cx[0] - c0[0]) + y * (cy[0] - c0[0]),
+                        c0[1] + x * (cx[1] - c0[1]) + y * (cy[1] - c0[1])
+                    ]
+                };
+
+            let finish = (res) => {
+                if (this.map !== map) return; // disposed
+
+                if (res && res.data) {
+                    this.snapshot = res.data;
+                    this.bytes = res.bands;
+                    this.snapshotSize = { w: w, h: h };
+                }
+
+                this.loading_ = false;
+
+                this.dispatchEvent("scanFinished");
+
+                // the view is changed while the values are read
+                let c = map.getCoordinateFromPixel([-buffer, -buffer]);
+                if (!c || c[0] != c0[0] || c[1] != c0[1] || map.getView() !== view || view.getResolution() != request.resolution) this.scan();
+            };
+
+            Promise.resolve().then(() => this.reader(request)).then(finish, (e) => {
+                if (this.map === map) this.dispatchSampleError_(null, SampleErrorReason.READER, e);
+                finish(null);
+            });
+        });
+        map.render();
+    }
+
     hasVisibleLayers_() {
         return this.layers != null && this.layers.filter(l => {
             return l.getVisible() && l.getOpacity() > 0;
@@ -407,18 +816,83 @@ export class TileMask extends BaseObject {
     }
 
     /**
+     * Get the canvas with the rendered layer: the 2D canvas of the canvas renderers or the canvas of the WebGL renderers
+     * @private
+     * @param {ol/layer/Layer} layer
+     * @return {HTMLCanvasElement} null if the renderer doesn't expose a canvas
+     */
+    getLayerCanvas_(layer) {
+        let renderer = layer.getRenderer();
+        if (!renderer) return null;
+        if (renderer.context && renderer.context.canvas) return renderer.context.canvas;
+        if (renderer.helper && renderer.helper.getCanvas) return renderer.helper.getCanvas();
+        return null;
+    }
+
+    /**
+     * Compose the layers on the context and read the snapshot data. The layers with cross-origin data
+     * (the canvas can't be read) are excluded, the excluded layers are reported by 'sampleError' events
      * @private
-     * @param {RenderEvent} e
+     * @param {CanvasRenderingContext2D} context Context of the snapshot size
+     * @param {Array<ol/layer/Layer>} layers Renderable layers (see 'getRenderLayers_')
+     * @param {Array<ol/layer/Layer>} [originals] Layers for the events (if the layers are copies)
+     * @return {Object} {CanvasRenderingContext2D} context - context with the composed layers (a new one if the layers are excluded), {Uint8ClampedArray} data - snapshot data (null if no layer can be read)
      */
-    onPostRender_() {
-        if (this.lock_) {
-            this.contextWithoutMask.clearRect(0, 0, this.size.w, this.size.h);
-            this.getRenderLayers_().forEach((layer) => {
-                let cnv = layer.getRenderer().context.canvas;
-                this.contextWithoutMask.drawImage(cnv, 0, 0, cnv.width, cnv.height, 0, 0, this.size.w, this.size.h);
+    sampleLayers_(context, layers, originals = layers) {
+        let w = context.canvas.width,
+            h = context.canvas.height;
+
+        let compose = (ctx, list) => {
+            ctx.clearRect(0, 0, w, h);
+            list.forEach((layer) => {
+                let cnv = this.getLayerCanvas_(layer);
+                ctx.drawImage(cnv, 0, 0, cnv.width, cnv.height, 0, 0, w, h);
             });
-        }
-        this.drawBorder();
+        };
+        let read = (ctx) => {
+            try {
+                return ctx.getImageData(0, 0, w, h).data;
+            } catch (e) { // the canvas is tainted by cross-origin data
+                return null;
+            }
+        };
+
+        compose(context, layers);
+        let data = read(context);
+        if (data) return { context: context, data: data };
+
+        // find the tainted layers (a tainted canvas can't be cleaned, so the new ones are created)
+        let readable = layers.filter((layer, i) => {
+            let probe = document.createElement("canvas").getContext("2d");
+            probe.canvas.width = 1;
+            probe.canvas.height = 1;
+            probe.drawImage(this.getLayerCanvas_(layer), 0, 0, 1, 1);
+            if (read(probe)) return true;
+            this.dispatchSampleError_(originals[i], SampleErrorReason.TAINTED);
+            return false;
+        });
+
+        context = document.createElement("canvas").getContext("2d");
+        context.canvas.width = w;
+        context.canvas.height = h;
+        if (readable.length == 0) return { context: context, data: null };
+
+        compose(context, readable);
+        return { context: context, data: read(context) };
+    }
+
+    /**
+     * @private
+     * @param {ol/layer/Layer} layer Layer which can't be sampled (null for the data reader)
+     * @param {SampleErrorReason} reason
+     * @param {*} [error] Error of the data reader
+     */
+    dispatchSampleError_(layer, reason, error = null) {
+        let event = new Event("sampleError");
+        event.layer = layer;
+        event.reason = reason;
+        event.error = error;
+        this.dispatchEvent(event);
     }
 
     //#endregion
@@ -426,33 +900,58 @@ export class TileMask extends BaseObject {
     //#region Mask
 
     /**
-     * Render the current context to the top visible layer
-     * @param {boolean} [clear=false] Render the snapshot before
+     * Render function of the mask layer: redraw the mask for the current frame
+     * @private
+     * @param {ol/PluggableMap~FrameState} frameState
+     * @param {HTMLElement} container Element of the layer
+     * @return {HTMLElement} Element of the layer (null if there is no mask)
      */
-    render(clear = false) {
-        let layers = this.getRenderLayers_();
-        if (layers.length == 0) return;
-
-        let layerCtx = layers[layers.length - 1].getRenderer().context; // top layer
+    renderFrame_(frameState, container) {
+        if (!this.mask) return null;
+        let opacity = frameState.layerStatesArray[frameState.layerIndex].opacity;
+        container.style.opacity = opacity == 1 ? "" : String(opacity);
+        this.drawBorder();
+        return container;
+    }
 
-        // render snapshot context without mask
-        if (clear) {
-            let snap = this.contextWithoutMask;
-            layerCtx.drawImage(snap.canvas, 0, 0, snap.canvas.width, snap.canvas.height, 0, 0, layerCtx.canvas.width, layerCtx.canvas.height);
-        }
+    /**
+     * Render the current context (it's shown by the mask layer, the changes are visible immediately)
+     * @param {boolean} [clear=false] Render the snapshot under the current context
+     */
+    render(clear = false) {
+        if (!clear) return;
+
+        // render snapshot context without mask under the mask
+        let ctx = this.context,
+            snap = this.contextWithoutMask;
+        ctx.save();
+        ctx.globalCompositeOperation = "destination-over";
+        ctx.drawImage(snap.canvas, 0, 0, snap.canvas.width, snap.canvas.height, 0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.restore();
+    }
 
-        let ctx = this.context;
-        layerCtx.drawImage(ctx.canvas, 0, 0, ctx.canvas.width, ctx.canvas.height, 0, 0, layerCtx.canvas.width, layerCtx.canvas.height);
+    /**
+     * Layer which shows the mask
+     * @return {ol/layer/Layer}
+     */
+    getLayer() {
+        return this.layer_;
     }
 
     /**
+     * Get the visible layers with the rendered canvas, the visible layers without a canvas are reported by 'sampleError' events
      * @private
+     * @param {Array<ol/layer/Layer>} layers
+     * @param {Array<ol/layer/Layer>} [originals] Layers for the events (if the layers are copies)
      * @return {Array<ol/layer/Layer>} renderable layers
      */
-    getRenderLayers_() {
-        return this.layers == null ? [] : this.layers.filter(l => {
-            let ctx = l.getRenderer().context;
-            return ctx && l.getVisible() && l.getOpacity() > 0 && ctx.canvas.width > 0 && ctx.canvas.height > 0;
+    getRenderLayers_(layers, originals = layers) {
+        if (layers == null) return [];
+        return layers.filter((l, i) => {
+            if (!l.getVisible() || l.getOpacity() == 0) return false;
+            let cnv = this.getLayerCanvas_(l);
+            if (!cnv) this.dispatchSampleError_(originals[i], SampleErrorReason.UNSUPPORTED);
+            return cnv && cnv.width > 0 && cnv.height > 0;
         }).sort((a, b) => a.getZIndex() - b.getZIndex());
     }
 
@@ -464,11 +963,63 @@ export class TileMask extends BaseObject {
         return this.drawBorder(false);
     }
 
+    /**
+     * Set the style of the mask rendering
+     * @param {MaskStyle} [style]
+     */
+    setStyle(style = {}) {
+        let color = (c) => {
+            let res = asArray(c);
+            return [res[0], res[1], res[2], Math.round((res[3] == null ? 1 : res[3]) * 255)];
+        };
+        let modeColors = {};
+        if (style.modeColors) {
+            Object.keys(style.modeColors).forEach(m => modeColors[m] = color(style.modeColors[m]));
+        }
+        let ants = style.antColors || ["black", "white"];
+
+        this.style_ = {
+            fillColor: style.fillColor ? color(style.fillColor) : null,
+            antColors: [color(ants[0]), color(ants[1])],
+            strokeWidth: style.strokeWidth == null ? 1 : Math.max(Math.round(style.strokeWidth), 1),
+            animated: style.animated == null ? true : style.animated,
+            modeColors: modeColors
+        };
+
+        if (this.hatchInterval_) clearInterval(this.hatchInterval_);
+        this.hatchInterval_ = null;
+        if (this.style_.animated && this.hatchTimeout && this.hatchTimeout > 0) {
+            this.hatchInterval_ = setInterval(() => this.hatchTick_(), this.hatchTimeout);
+        }
+
+        if (this.mask) this.map.render();
+    }
+
+    /**
+     * Set the active combination mode (changes the fill color, see 'MaskStyle.modeColors')
+     * @param {MaskOperation} mode Operation or null
+     */
+    setStyleMode(mode) {
+        mode = mode || null;
+        if (this.styleMode_ == mode) return;
+        this.styleMode_ = mode;
+        if (this.mask) this.map.render();
+    }
+
+    /**
+     * @private
+     * @return {Array<number>} Current fill color (null - no fill)
+     */
+    getFillColor_() {
+        return (this.styleMode_ && this.style_.modeColors[this.styleMode_]) || this.style_.fillColor;
+    }
+
     /**
      *  Clear the current mask and remove it from the map
      */
     clearMask() {
         this.mask = null;
+        this.sourceMask = null;
         this.border_ = null;
         if (this.context)
             this.context.clearRect(0, 0, this.size.w, this.size.h);
@@ -478,125 +1029,161 @@ export class TileMask extends BaseObject {
 
     /**
      * Set a binary mask and render it
-     * @param {Mask} mask
+     * @param {Mask} mask Mask at any resolution (will be resampled to the current view resolution)
      */
     setMask(mask) {
-        this.mask = mask;
+        this.sourceMask = mask;
+        this.updateMaskResolution_();
+    }
+
+    /**
+     * Resample the source mask to the current view resolution
+     * @private
+     */
+    updateMaskResolution_() {
+        let mask = this.sourceMask;
+        if (!mask) return;
+
+        let view = this.map.getView();
+        if (mask.projection && mask.projection != view.getProjection().getCode()) { // the mask can't be resampled
+            this.clearMask();
+            return;
+        }
+
+        let resolution = view.getResolution();
+        if (mask.resolution && mask.resolution != resolution) {
+            let scale = mask.resolution / resolution,
+                w = this.size.w,
+                h = this.size.h,
+                clip = null;
+            // restrict the too large mask by the viewport (+1 viewport size on each side)
+            if ((mask.bounds.maxX - mask.bounds.minX + 1) * (mask.bounds.maxY - mask.bounds.minY + 1) * scale * scale > 9 * w * h) {
+                let offset = MagicWand.getMainWorldOffset(this.map);
+                // check a shortest path to the viewport
+                let distance = (offset.x + w / 2) - (mask.globalOffset.x + mask.width / 2) * scale;
+                let x = Math.abs(distance) > offset.width / 2 ? (distance > 0 ? offset.x - offset.width : offset.x + offset.width) : offset.x;
+                clip = { minX: x - w, minY: offset.y - h, maxX: x + 2 * w - 1, maxY: offset.y + 2 * h - 1 };
+            }
+            mask = MagicWand.resampleMask(mask, resolution, clip);
+        }
+
+        this.mask = mask; // the border of the previous mask is drawn until the new one is found
+        if (!mask) this.context.clearRect(0, 0, this.size.w, this.size.h);
+
         this.map.render();
     }
 
+    /**
+     * Find the border of the mask (in the worker if it's available)
+     * @private
+     * @param {Mask} mask
+     */
+    findBorder_(mask) {
+        if (this.engine && this.engine.isAvailable()) {
+            if (this.borderRequest_ === mask) return; // the border is being found
+            this.borderRequest_ = mask;
+            this.engine.getBorderIndices(mask.data.slice(), mask.width, mask.height).then((indices) => {
+                if (this.mask !== mask) return;
+                this.border_ = { mask: mask, indices: indices };
+                this.drawBorder(false);
+            }, () => { });
+            // the previous border is drawn until the new one is found
+        } else {
+            this.border_ = { mask: mask, indices: MagicWandLib.getBorderIndices(mask) };
+        }
+    }
+
     /**
      * Draw a hatch border of the binary mask
-     * @param {boolean} [needBorder = true] If true, needs to recreate a border
+     * @param {boolean} [needBorder = true] If true, finds the border of the new mask
      */
     drawBorder(needBorder = true) {
         if (!this.mask) return false;
 
-        var i, j, k, q, len,
+        var mask = this.mask;
+        if (needBorder && (!this.border_ || this.border_.mask !== mask)) this.findBorder_(mask);
+
+        var i, j, k, n, x, y, x0, y0, c, dx, dy, ox,
             w = this.size.w, // viewport size
             h = this.size.h,
-            ix = this.size.w - 1, // right bottom of viewport (left top = [0,0])
-            iy = this.size.h - 1,
-            sw = this.size.w + 2, // extend viewport size (+1 px on each side)
-            sh = this.size.h + 2;
-
-        if (needBorder) { // create border
-
-            var offset = MagicWand.getMainWorldOffset(this.map); // viewport offset in the main world basis
-
-            var dx, dy, x0, y0, x1, y1, k1, k2,
-                rx0, rx1, ry0, ry1, // result of the intersection mask with the viewport (+1 px on each side)
-                img = this.mask.data,
-                w1 = this.mask.width,
-                b = this.mask.bounds,
-                gf = this.mask.globalOffset, // mask offset in the main world basis,
-                data = new Uint8Array(sw * sh), // viewport data (+1 px on each side) for correct detection border
-                off,
-                maskOffsets = [{ // all posible mask world offsets (considering 'multiWorld')
-                    x: gf.x,
-                    y: gf.y
-                }, { // add the mask in the left world
-                    x: (gf.x - offset.width) + 1,  // 1px for overlap
-                    y: gf.y
-                }, { // add the mask in the right world
-                    x: (gf.x + offset.width) - 1,  // 1px for overlap
-                    y: gf.y
-                }];
-
-            // walk through all worlds
-            var offsetsLen = maskOffsets.length;
-            for (j = 0; j < offsetsLen; j++) {
-                off = maskOffsets[j]; // viewport offset in the world basis
-                dx = off.x - offset.x; // delta for the transformation to the viewport basis (mask offset in the viewport basis)
-                dy = off.y - offset.y;
-                x0 = dx + b.minX; // left top of binary image (in viewport basis)
-                y0 = dy + b.minY;
-                x1 = dx + b.maxX; // right bottom of binary image (in viewport basis)
-                y1 = dy + b.maxY;
-
-                // intersection of the mask with viewport
-                if (!(x1 < 0 || x0 > ix || y1 < 0 || y0 > iy)) {
-                    rx0 = x0 > -1 ? x0 : -1; // intersection +1 px on each side (for search border)
-                    ry0 = y0 > -1 ? y0 : -1;
-                    rx1 = x1 < ix + 1 ? x1 : ix + 1;
-                    ry1 = y1 < iy + 1 ? y1 : iy + 1;
-                } else {
-                    continue;
-                }
-                // copy result of the intersection(+1 px on each side) to image data for detection border
-                len = rx1 - rx0 + 1;
-                i = (ry0 + 1) * sw + (rx0 + 1);
-                k1 = (ry0 - dy) * w1 + (rx0 - dx);
-                k2 = (ry1 - dy) * w1 + (rx0 - dx) + 1;
-                // walk through rows (Y)
-                for (k = k1; k < k2; k += w1) {
-                    // walk through cols (X)
-                    for (q = 0; q < len; q++) {
-                        if (img[k + q] === 1) data[i + q] = 1; // copy only "black" points
-                    }
-                    i += sw;
-                }
-            }
-
-            // save result of border detection for animation
-            this.border_ = MagicWandLib.getBorderIndices({ data: data, width: sw, height: sh });
-        }
+            ix = w - 1, // right bottom of viewport (left top = [0,0])
+            iy = h - 1,
+            offset = MagicWand.getMainWorldOffset(this.map); // viewport offset in the main world basis
 
         this.context.clearRect(0, 0, w, h);
 
-        var ind = this.border_; // array of indices of the boundary points
-        if (!ind) return false;
+        // the previous border is drawn only at the same resolution
+        var border = this.border_ && this.border_.mask.resolution == mask.resolution ? this.border_ : null,
+            fill = this.getFillColor_();
+        if (!border && !fill) return false;
 
-        var x, y,
-            imgData = this.context.createImageData(w, h), // result image
+        var imgData = this.context.createImageData(w, h), // result image
             res = imgData.data,
+            style = this.style_,
             hatchLength = this.hatchLength,
             hatchLength2 = hatchLength * 2,
-            hatchOffset = this.hatchOffset_;
-
-        len = ind.length;
-
-        for (j = 0; j < len; j++) {
-            i = ind[j];
-            x = i % sw; // calc x by index
-            y = (i - x) / sw; // calc y by index
-            x -= 1; // viewport coordinates transformed from extend (+1 px) viewport
-            y -= 1;
-            if (x < 0 || x > ix || y < 0 || y > iy) continue;
-            k = (y * w + x) * 4; // result image index by viewport coordinates
-            if ((x + y + hatchOffset) % hatchLength2 < hatchLength) { // detect hatch color 
-                res[k + 3] = 255; // black, set only alpha
-            } else {
-                res[k] = 255; // white
-                res[k + 1] = 255;
-                res[k + 2] = 255;
-                res[k + 3] = 255;
+            hatchOffset = style.animated ? this.hatchOffset_ : 0,
+            s0 = Math.floor((style.strokeWidth - 1) / 2), // stroke around the border point
+            s1 = style.strokeWidth - s0;
+
+        // all posible mask world offsets (considering 'multiWorld'): the main world, the left and the right worlds (1px for overlap)
+        var worlds = [0, 1 - offset.width, offset.width - 1];
+
+        if (fill) {
+            var data = mask.data,
+                mw = mask.width,
+                b = mask.bounds;
+            for (n = 0; n < worlds.length; n++) {
+                dx = mask.globalOffset.x + worlds[n] - offset.x; // mask offset in the viewport basis
+                dy = mask.globalOffset.y - offset.y;
+                // walk through rows (Y) of the intersection of the mask with the viewport
+                for (y = Math.max(b.minY, -dy); y <= Math.min(b.maxY, iy - dy); y++) {
+                    x0 = Math.max(b.minX, -dx);
+                    i = y * mw + x0;
+                    k = ((y + dy) * w + x0 + dx) * 4;
+                    // walk through cols (X)
+                    for (x = x0; x <= Math.min(b.maxX, ix - dx); x++, i++, k += 4) {
+                        if (data[i] !== 1) continue;
+                        res[k] = fill[0];
+                        res[k + 1] = fill[1];
+                        res[k + 2] = fill[2];
+                        res[k + 3] = fill[3];
+                    }
+                }
             }
         }
 
-        this.context.putImageData(imgData, 0, 0);
+        if (border) {
+            var ind = border.indices, // indices of the boundary points in the mask basis
+                len = ind.length,
+                bw = border.mask.width;
+            for (n = 0; n < worlds.length; n++) {
+                ox = border.mask.globalOffset.x + worlds[n] - offset.x; // mask offset in the viewport basis
+                dy = border.mask.globalOffset.y - offset.y;
+                for (j = 0; j < len; j++) {
+                    i = ind[j];
+                    x = i % bw; // calc x by index
+                    y = (i - x) / bw; // calc y by index
+                    c = (x + y + hatchOffset) % hatchLength2 < hatchLength ? style.antColors[0] : style.antColors[1]; // detect hatch color (the hatches move with the mask)
+                    x += ox; // viewport coordinates
+                    y += dy;
+                    if (x + s1 <= 0 || x - s0 > ix || y + s1 <= 0 || y - s0 > iy) continue;
+                    for (y0 = y - s0; y0 < y + s1; y0++) {
+                        if (y0 < 0 || y0 > iy) continue;
+                        for (x0 = x - s0; x0 < x + s1; x0++) {
+                            if (x0 < 0 || x0 > ix) continue;
+                            k = (y0 * w + x0) * 4; // result image index by viewport coordinates
+                            res[k] = c[0];
+                            res[k + 1] = c[1];
+                            res[k + 2] = c[2];
+                            res[k + 3] = c[3];
+                        }
+                    }
+                }
+            }
+        }
 
-        this.render();
+        this.context.putImageData(imgData, 0, 0);
 
         return true;
     }
@@ -607,28 +1194,29 @@ export class TileMask extends BaseObject {
      * Get color of the snapshot by screen coordinates
      * @param {number} x
      * @param {number} y
-     * @return {Array<number>} RGBA color
+     * @return {Array<number>} RGBA color (band values for the raw raster values)
      */
     getPixelColor(x, y) {
-        var i = (y * this.size.w + x) * this.bytes;
-        var res = [this.snapshot[i], this.snapshot[i + 1], this.snapshot[i + 2], this.snapshot[i + 3]];
+        var i = ((y + this.buffer) * this.snapshotSize.w + x + this.buffer) * this.bytes;
+        var res = Array.from(this.snapshot.subarray(i, i + this.bytes));
         return res;
     }
 
     /**
      * Create data URL from the snapshot
      * @param {string} [format="image/png"] Image type
-     * @return {string} Image binary content URL
+     * @return {string} Image binary content URL (null if the snapshot contains the raw raster values)
      */
     toImageUrl(format = "image/png") {
-        if (!this.isReady() || !this.size) return null;
+        if (!this.isReady() || !this.snapshotSize || this.reader) return null;
 
+        var size = this.snapshotSize;
         var canvas = document.createElement("canvas");
         var context = canvas.getContext("2d");
-        context.canvas.width = this.size.w;
-        context.canvas.height = this.size.h;
+        context.canvas.width = size.w;
+        context.canvas.height = size.h;
 
-        var imgData = context.createImageData(this.size.w, this.size.h);
+        var imgData = context.createImageData(size.w, size.h);
         for (var i = 0; i < this.snapshot.length; i++) {
             imgData.data[i] = this.snapshot[i];
         }
@@ -640,37 +1228,222 @@ export class TileMask extends BaseObject {
 }
 
 /**
- * @typedef {Object} MagicWandOptions
- * @property {ol/layer/Layer|Array<ol/layer/Layer>} layers Layer(s) for scanning
- * @property {string} [waitClass] CSS class for map when snapshot is loading
- * @property {string} [drawClass] CSS class for map when "add mode" is turned off (default)
- * @property {string} [addClass] CSS class for map when "add mode" is turned on
- * @property {number} [hatchLength=4] Thickness of the stroke (in pixels)
- * @property {number} [hatchTimeout=300] Hatching redraw timeout (in ms)
- * @property {number} [colorThreshold=15] Tool parameter: Initial color threshold [1-255] (see method 'floodFill' in 'magic-wand-tool')
- * @property {number} [blurRadius=5] Tool parameter: Blur radius [1-15] (see method 'gaussBlurOnlyBorder' in 'magic-wand-tool')
- * @property {boolean} [includeBorders=true] Tool parameter: Indicate whether to include borders pixels (see method 'floodFill' in 'magic-wand-tool')
- * @property {boolean} [addMode=true] Enable/disable a concatenation of masks ("add mode")
- * @property {boolean} [history=true] Enable/disable mask history functions: undo ('ctrl+z') and redo ('ctrl+y')
- * @property {boolean} [debugMode=false] Enable/disable debug functions: shows contours ('c' key) and current snapshot ('s' key)
-*/
+ * Boolean operations for the combination of binary masks
+ * @enum {string}
+ */
+export const MaskOperation = {
+    UNION: "union",
+    DIFFERENCE: "difference",
+    INTERSECTION: "intersection",
+    XOR: "xor"
+};
 
 /**
- * @classdesc
- * Implementation of the magic-wand tool for the specified layers of the map
- * @api
+ * Modes of the brush for the manual correction of the mask
+ * @enum {string}
  */
-export default class MagicWand extends PointerInteraction {
+export const BrushMode = {
+    PAINT: "paint",
+    ERASE: "erase"
+};
 
+/**
+ * Event types of the magic wand
+ * @enum {string}
+ */
+export const MagicWandEventType = {
     /**
-     * @param {MagicWandOptions} options MagicWand options
+     * Triggered when the selection is started
+     * @event MagicWandEvent#selectstart
      */
-    constructor(options) {
-        super();
-
-        /**
-         * Layer(s) for scanning
-         * @protected
+    SELECTSTART: "selectstart",
+    /**
+     * Triggered when the color threshold is changed during the drag
+     * @event MagicWandEvent#selectchange
+     */
+    SELECTCHANGE: "selectchange",
+    /**
+     * Triggered when the selection is finished
+     * @event MagicWandEvent#selectend
+     */
+    SELECTEND: "selectend",
+    /**
+     * Triggered when the current mask is changed (including undo, redo and clearing)
+     * @event MagicWandEvent#maskchange
+     */
+    MASKCHANGE: "maskchange",
+    /**
+     * Triggered when a visible layer can't be sampled for the snapshot (the snapshot is created without it) or the data reader has failed
+     * @event MagicWandEvent#sampleerror
+     */
+    SAMPLEERROR: "sampleerror",
+    /**
+     * Triggered when the selection is committed into the target source
+     * @event MagicWandEvent#commit
+     */
+    COMMIT: "commit"
+};
+
+/**
+ * @classdesc
+ * Events emitted by the magic wand
+ */
+export class MagicWandEvent extends Event {
+
+    /**
+     * @param {MagicWandEventType} type Event type
+     * @param {Object} [properties] Event properties
+     */
+    constructor(type, properties = {}) {
+        super(type);
+
+        /**
+         * Seed pixel in the viewport
+         * @type {ol/pixel/Pixel}
+         */
+        this.pixel = properties.pixel || null;
+
+        /**
+         * Seed coordinate in the view projection
+         * @type {ol/coordinate/Coordinate}
+         */
+        this.coordinate = properties.coordinate || null;
+
+        /**
+         * Combination with the previous mask (null - replace the mask)
+         * @type {MaskOperation}
+         */
+        this.mode = properties.mode || null;
+
+        /**
+         * Current color threshold
+         * @type {number}
+         */
+        this.threshold = properties.threshold == null ? null : properties.threshold;
+
+        /**
+         * Current mask (null if the selection is empty)
+         * @type {Mask}
+         */
+        this.mask = properties.mask || null;
+
+        /**
+         * Indicates whether the undo is available
+         * @type {boolean}
+         */
+        this.allowUndo = !!properties.allowUndo;
+
+        /**
+         * Indicates whether the redo is available
+         * @type {boolean}
+         */
+        this.allowRedo = !!properties.allowRedo;
+
+        /**
+         * Layer which can't be sampled
+         * @type {ol/layer/Layer}
+         */
+        this.layer = properties.layer || null;
+
+        /**
+         * Reason why the layer can't be sampled
+         * @type {SampleErrorReason}
+         */
+        this.reason = properties.reason || null;
+
+        /**
+         * Error of the data reader
+         * @type {*}
+         */
+        this.error = properties.error || null;
+
+        /**
+         * Committed features (added to the target source)
+         * @type {Array<ol/Feature>}
+         */
+        this.features = properties.features || null;
+
+        /**
+         * Features of the target source merged into the committed features (removed from the source)
+         * @type {Array<ol/Feature>}
+         */
+        this.merged = properties.merged || null;
+    }
+
+}
+
+/**
+ * @typedef {Object} MagicWandOptions
+ * @property {ol/layer/Layer|Array<ol/layer/Layer>} layers Layer(s) for scanning
+ * @property {string} [waitClass] CSS class for map when snapshot is loading
+ * @property {string} [drawClass] CSS class for map when "add mode" is turned off (default)
+ * @property {string} [addClass] CSS class for map when "add mode" is turned on
+ * @property {string} [subtractClass] CSS class for map when "subtract mode" is turned on
+ * @property {string} [intersectClass] CSS class for map when "intersect mode" is turned on
+ * @property {string} [xorClass] CSS class for map when "xor mode" is turned on
+ * @property {string} [brushClass] CSS class for map when the brush paints
+ * @property {string} [eraseClass] CSS class for map when the brush erases
+ * @property {number} [hatchLength=4] Thickness of the stroke (in pixels)
+ * @property {number} [hatchTimeout=300] Hatching redraw timeout (in ms)
+ * @property {MaskStyle} [style] Style of the mask rendering: fill, border colors and width, animation
+ * @property {ol/interaction/MagicWand/DataReader~DataReaderFunction} [dataReader] Select on the raw raster values instead of the rendered colors: a function that reads the band values of the snapshot pixels (see 'createDataTileReader'), the threshold is expressed in data units
+ * @property {Array<number>} [bands=[0]] Indices of the bands compared with the threshold (if 'dataReader' is specified)
+ * @property {number} [thresholdStep=1] Change of the threshold per pixel of the drag distance (e.g. 0.01 for NDVI)
+ * @property {number} [maxThreshold=255] Max threshold for the drag (e.g. Infinity for the data values)
+ * @property {number} [snapshotBuffer=0] Snapshot margin on each side of the viewport (in pixels): the layers are rendered offscreen on a larger extent, so the selection can continue past the visible edge
+ * @property {number} [colorThreshold=15] Tool parameter: Initial color threshold [1-255] (see method 'floodFill' in 'magic-wand-tool')
+ * @property {string|ol/interaction/MagicWand/FloodFill~ColorMetricFunction} [colorMetric="rgb"] Tool parameter: Color similarity metric for the threshold: "rgb" (max channel difference), "lab" (CIELAB Delta E), "hsv" (hue with saturation/value weights, see 'createHsvMetric'), "luminance" or a custom function
+ * @property {number} [blurRadius=5] Tool parameter: Blur radius [1-15] (see method 'gaussBlurOnlyBorder' in 'magic-wand-tool')
+ * @property {boolean} [includeBorders=true] Tool parameter: Indicate whether to include borders pixels (see method 'floodFill' in 'magic-wand-tool')
+ * @property {boolean} [contiguous=true] Tool parameter: Select only the area connected with the start pixel or all pixels of the snapshot similar to its color
+ * @property {boolean} [addMode=true] Enable/disable a union of masks ("add mode", 'ctrl' key)
+ * @property {boolean} [subtractMode=true] Enable/disable a difference of masks ("subtract mode", 'alt' key)
+ * @property {boolean} [intersectMode=true] Enable/disable an intersection of masks ("intersect mode", 'ctrl+alt' keys)
+ * @property {boolean} [xorMode=true] Enable/disable an exclusive-or of masks ("xor mode", 'alt+shift' keys)
+ * @property {ol/events/condition/Condition} [condition] A function that takes an ol/MapBrowserEvent and returns a boolean to indicate whether the pointer down event should start a selection (default is the right mouse button)
+ * @property {ol/events/condition/Condition} [addCondition] A function that takes an ol/MapBrowserEvent and returns a boolean to indicate whether "add mode" is turned on (default is 'ctrl' key)
+ * @property {ol/events/condition/Condition} [subtractCondition] A function that takes an ol/MapBrowserEvent and returns a boolean to indicate whether "subtract mode" is turned on (default is 'alt' key)
+ * @property {ol/events/condition/Condition} [intersectCondition] A function that takes an ol/MapBrowserEvent and returns a boolean to indicate whether "intersect mode" is turned on (default is 'ctrl+alt' keys)
+ * @property {ol/events/condition/Condition} [xorCondition] A function that takes an ol/MapBrowserEvent and returns a boolean to indicate whether "xor mode" is turned on (default is 'alt+shift' keys)
+ * @property {boolean} [suppressContextMenu=true] Prevent the context menu on the map while the interaction is active
+ * @property {boolean} [longPress=true] Enable/disable a selection by the long press of touch and pen pointers
+ * @property {number} [longPressDelay=500] Duration of the long press (in ms)
+ * @property {number} [longPressTolerance=5] Max pointer movement during the long press (in pixels)
+ * @property {ClipLike} [clip] Area of interest: the selections never grow outside it (see method 'setClip')
+ * @property {BrushMode} [brush] Paint or erase the mask with the brush instead of the selection (see method 'setBrush')
+ * @property {number} [brushRadius=10] Radius of the brush
+ * @property {string} [brushUnits="pixels"] Units of the brush radius: "pixels" or "map"
+ * @property {boolean|MaskHistoryOptions} [history=true] Enable/disable mask history functions: undo ('ctrl+z') and redo ('ctrl+y'), the options limit the size of the history
+ * @property {boolean} [debugMode=false] Enable/disable debug functions: shows contours ('c' key) and current snapshot ('s' key)
+ * @property {ol/source/Vector} [target] Source for the committed selections (see method 'commit')
+ * @property {boolean} [merge=false] Merge the committed selections with the adjacent polygons of the target source
+ * @property {boolean} [commitKey=false] Enable/disable the commit by the 'Enter' key (ignored in the text fields and the form controls)
+ * @property {function(): Worker} [worker] Function that creates a worker from 'ol-magic-wand/src/MaskWorker.js' to run the flood fill, blur, border detection and contour tracing off the main thread (synchronous fallback if workers are not supported or the color metric is a custom function)
+*/
+
+/**
+ * @classdesc
+ * Implementation of the magic-wand tool for the specified layers of the map
+ *
+ * @fires MagicWandEvent#selectstart
+ * @fires MagicWandEvent#selectchange
+ * @fires MagicWandEvent#selectend
+ * @fires MagicWandEvent#maskchange
+ * @fires MagicWandEvent#sampleerror
+ * @fires MagicWandEvent#commit
+ * @api
+ */
+export default class MagicWand extends PointerInteraction {
+
+    /**
+     * @param {MagicWandOptions} options MagicWand options
+     */
+    constructor(options) {
+        super();
+
+        /**
+         * Layer(s) for scanning
+         * @protected
          * @type {ol/layer/Layer|Array<ol/layer/Layer>}
          */
         this.layers = options.layers;
@@ -685,11 +1458,77 @@ export default class MagicWand extends PointerInteraction {
          */
         this.hatchTimeout = options.hatchTimeout == null ? 300 : options.hatchTimeout;
 
+        /**
+         * @type {number}
+         */
+        this.snapshotBuffer = options.snapshotBuffer == null ? 0 : options.snapshotBuffer;
+
+        /**
+         * @private
+         * @type {ol/interaction/MagicWand/DataReader~DataReaderFunction}
+         */
+        this.dataReader_ = options.dataReader || null;
+
+        /**
+         * Source for the committed selections
+         * @type {ol/source/Vector}
+         */
+        this.target = options.target || null;
+
+        /**
+         * Merge the committed selections with the adjacent polygons of the target source
+         * @type {boolean}
+         */
+        this.merge = options.merge == null ? false : options.merge;
+
+        /**
+         * Commit the selection by the 'Enter' key
+         * @type {boolean}
+         */
+        this.commitKey = options.commitKey == null ? false : options.commitKey;
+
+        /**
+         * Parameters of the last finished selection: {number} threshold, {Array<number>} color - seed color,
+         * {ol/coordinate/Coordinate} coordinate - seed coordinate, {Date} time
+         * @private
+         * @type {Object}
+         */
+        this.lastSelection_ = null;
+
+        /**
+         * Indices of the bands compared with the threshold (if the data reader is specified)
+         * @type {Array<number>}
+         */
+        this.bands = options.bands || [0];
+
+        /**
+         * @type {number}
+         */
+        this.thresholdStep = options.thresholdStep == null ? 1 : options.thresholdStep;
+
+        /**
+         * @type {number}
+         */
+        this.maxThreshold = options.maxThreshold == null ? 255 : options.maxThreshold;
+
+        /**
+         * @private
+         * @type {MaskStyle}
+         */
+        this.style_ = Object.assign({}, options.style);
+
         /**
          * @type {number}
          */
         this.colorThreshold = options.colorThreshold == null ? 15 : options.colorThreshold;
 
+        /**
+         * Name of the metric from 'ColorMetric' or a custom metric function
+         * @type {string|ol/interaction/MagicWand/FloodFill~ColorMetricFunction}
+         */
+        this.colorMetric = options.colorMetric == null ? "rgb" : options.colorMetric;
+        this.getColorMetric_(); // check the metric name
+
         /**
          * @type {number}
          */
@@ -700,6 +1539,11 @@ export default class MagicWand extends PointerInteraction {
          */
         this.includeBorders = options.includeBorders == null ? true : options.includeBorders;
 
+        /**
+         * @type {boolean}
+         */
+        this.contiguous = options.contiguous == null ? true : options.contiguous;
+
         /**
          * @private
          * @type {number}
@@ -710,7 +1554,7 @@ export default class MagicWand extends PointerInteraction {
          * History of binary masks
          * @type {MaskHistory}
          */
-        this.history = options.history == false ? null : new MaskHistory();
+        this.history = options.history == false ? null : new MaskHistory(typeof options.history === "object" ? options.history : {});
 
         /**
          * Tile for displaying mask
@@ -732,10 +1576,11 @@ export default class MagicWand extends PointerInteraction {
         this.allowDraw_ = false;
 
         /**
+         * Operation for the combination of the old mask and a new mask (null - replace the old mask)
          * @private
-         * @type {boolean}
+         * @type {MaskOperation}
          */
-        this.addMode_ = false;
+        this.mode_ = null;
 
         /**
          * @private
@@ -749,6 +1594,33 @@ export default class MagicWand extends PointerInteraction {
          */
         this.downPoint_ = null;
 
+        /**
+         * Last mask creation in the worker (the selection is finished when it's done)
+         * @private
+         * @type {Promise<boolean>}
+         */
+        this.pendingDraw_ = null;
+
+        /**
+         * End of the selection waiting for the last mask: adds the mask to the history and fires 'selectend'
+         * @private
+         * @type {function()}
+         */
+        this.pendingEnd_ = null;
+
+        /**
+         * Mask of the current history entry (the unchanged mask isn't added again)
+         * @private
+         * @type {Mask}
+         */
+        this.historyMask_ = null;
+
+        /**
+         * @private
+         * @type {WorkerEngine}
+         */
+        this.engine_ = options.worker ? WorkerEngine.create(options.worker) : null;
+
         /**
          * @private
          * @type {ol/events/Array<EventsKey>}
@@ -756,10 +1628,16 @@ export default class MagicWand extends PointerInteraction {
         this.mapKeys_ = null;
 
         /**
+         * Allowed operations for the combination of masks
          * @private
-         * @type {boolean}
+         * @type {Object<MaskOperation, boolean>}
          */
-        this.allowAdd_ = options.addMode == null ? true : options.addMode;
+        this.allowedModes_ = {
+            [MaskOperation.UNION]: options.addMode == null ? true : options.addMode,
+            [MaskOperation.DIFFERENCE]: options.subtractMode == null ? true : options.subtractMode,
+            [MaskOperation.INTERSECTION]: options.intersectMode == null ? true : options.intersectMode,
+            [MaskOperation.XOR]: options.xorMode == null ? true : options.xorMode
+        };
 
         /**
          * @private
@@ -767,9 +1645,136 @@ export default class MagicWand extends PointerInteraction {
          */
         this.isDebug_ = options.debugMode == null ? false : options.debugMode;
 
+        /**
+         * Condition to start a selection
+         * @private
+         * @type {ol/events/condition/Condition}
+         */
+        this.condition_ = options.condition ? options.condition : (e => e.originalEvent.button == 2);
+
+        /**
+         * Conditions of the combination modes (in the order of checking)
+         * @private
+         * @type {Object<MaskOperation, ol/events/condition/Condition>}
+         */
+        this.modeConditions_ = {
+            [MaskOperation.INTERSECTION]: options.intersectCondition ? options.intersectCondition : (e => e.originalEvent.ctrlKey && e.originalEvent.altKey),
+            [MaskOperation.XOR]: options.xorCondition ? options.xorCondition : (e => e.originalEvent.altKey && e.originalEvent.shiftKey),
+            [MaskOperation.UNION]: options.addCondition ? options.addCondition : (e => e.originalEvent.ctrlKey),
+            [MaskOperation.DIFFERENCE]: options.subtractCondition ? options.subtractCondition : (e => e.originalEvent.altKey)
+        };
+
+        /**
+         * Built-in mode conditions which can be checked by the keyboard events (the custom conditions take the map browser events)
+         * @private
+         * @type {Object<MaskOperation, boolean>}
+         */
+        this.keyModes_ = {
+            [MaskOperation.INTERSECTION]: !options.intersectCondition,
+            [MaskOperation.XOR]: !options.xorCondition,
+            [MaskOperation.UNION]: !options.addCondition,
+            [MaskOperation.DIFFERENCE]: !options.subtractCondition
+        };
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this.suppressContextMenu_ = options.suppressContextMenu == null ? true : options.suppressContextMenu;
+
+        /**
+         * Combination mode when no mode condition is met
+         * @private
+         * @type {MaskOperation}
+         */
+        this.defaultMode_ = null;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this.allowLongPress_ = options.longPress == null ? true : options.longPress;
+
+        /**
+         * @private
+         * @type {number}
+         */
+        this.longPressDelay_ = options.longPressDelay == null ? 500 : options.longPressDelay;
+
+        /**
+         * @private
+         * @type {number}
+         */
+        this.longPressTolerance_ = options.longPressTolerance == null ? 5 : options.longPressTolerance;
+
+        /**
+         * Pending long press: pointer id, down pixel, down event and timeout id
+         * @private
+         * @type {Object}
+         */
+        this.longPress_ = null;
+
+        /**
+         * Indicates whether the current selection is started by the long press
+         * @private
+         * @type {boolean}
+         */
+        this.longPressDraw_ = false;
+
+        /**
+         * @private
+         * @type {BrushMode}
+         */
+        this.brush_ = options.brush || null;
+
+        /**
+         * @type {number}
+         */
+        this.brushRadius = options.brushRadius == null ? 10 : options.brushRadius;
+
+        /**
+         * Units of the brush radius: "pixels" or "map"
+         * @type {string}
+         */
+        this.brushUnits = options.brushUnits || "pixels";
+
+        /**
+         * Current brush stroke: {boolean} erase, {ol/pixel/Pixel} last - last point in the main world basis
+         * @private
+         * @type {Object}
+         */
+        this.stroke_ = null;
+
+        /**
+         * Area of interest for the selections
+         * @private
+         * @type {ClipLike}
+         */
+        this.clip_ = options.clip || null;
+
+        /**
+         * Parts of the area of interest: the vector source, the features and the geometries (the extents are converted to polygons once)
+         * @private
+         * @type {Array<ol/source/Vector|ol/Feature|ol/geom/Geometry>}
+         */
+        this.clipItems_ = MagicWand.getClipItems_(this.clip_);
+
+        /**
+         * Rasterized area of interest: {Uint8Array} snapshot - snapshot data, {string} key - geometries and their revisions,
+         * {Uint8Array} data - barrier in the snapshot basis (1 - outside the area)
+         * @private
+         * @type {Object}
+         */
+        this.clipCache_ = null;
+
         if (options.waitClass) this.waitClass = options.waitClass;
         if (options.drawClass) this.drawClass = options.drawClass;
         if (options.addClass) this.addClass = options.addClass;
+        if (options.subtractClass) this.subtractClass = options.subtractClass;
+        if (options.intersectClass) this.intersectClass = options.intersectClass;
+        if (options.xorClass) this.xorClass = options.xorClass;
+        if (options.brushClass) this.brushClass = options.brushClass;
+        if (options.eraseClass) this.eraseClass = options.eraseClass;
     }
 
     //#region Handlers
@@ -789,6 +1794,11 @@ export default class MagicWand extends PointerInteraction {
         //}
         //return;
 
+        if (this.stroke_) {
+            this.paintStroke_(this.getMap().getEventPixel(e));
+            return false;
+        }
+
         if (this.allowDraw_) {
             var pixel = this.getMap().getEventPixel(e);
             var x = Math.round(pixel[0]);
@@ -804,12 +1814,16 @@ export default class MagicWand extends PointerInteraction {
                 var ady = Math.abs(dy);
                 var sign = adx > ady ? dx / adx : dy / ady;
                 sign = sign < 0 ? sign / 5 : sign / 3;
-                var thres = Math.min(Math.max(this.colorThreshold + Math.round(sign * len), 1), 255); // 1st method
+                var step = this.thresholdStep;
+                var thres = Math.min(Math.max(this.colorThreshold + Math.round(sign * len) * step, step), this.maxThreshold); // 1st method
                 //var thres = Math.min(Math.max(this.colorThreshold + dx / 2, 1), 255); // 2nd method
                 //var thres = Math.min(this.colorThreshold + Math.round(len / 3), 255); // 3rd method
                 if (thres != this.currentThreshold_) {
                     this.currentThreshold_ = thres;
-                    this.drawMask_(px, py);
+                    let mode = this.mode_;
+                    this.whenDrawn_(this.drawMask_(px, py, thres, mode, this.blurRadius, this.contiguous), (drawn) => {
+                        if (drawn) this.dispatchSelectEvent_(MagicWandEventType.SELECTCHANGE, mode, thres);
+                    });
                 }
             }
         }
@@ -822,53 +1836,349 @@ export default class MagicWand extends PointerInteraction {
      */
     handleDownEvent(evt) {
         let e = evt.originalEvent;
-        if (e.button == 2) { // right button - draw mask
-            if (!this.tileMask_ || !this.tileMask_.isReady() || this.getMap().getView().getAnimating()) return;
-            let px = this.getMap().getEventPixel(e);
-            this.downPoint_ = { x: Math.round(px[0]), y: Math.round(px[1]) }; // mouse down point (base point)
-            this.allowDraw_ = true;
-            this.addMode_ = e.ctrlKey; // || e.shiftKey;
-            this.drawMask_(this.downPoint_.x, this.downPoint_.y);
+        if (this.condition_(evt)) { // right button (by default) - draw mask
+            return this.startDraw_(this.getMap().getEventPixel(e), evt);
         } else { // reset all
             this.allowDraw_ = false;
             this.oldMask_ = null;
-            this.addMode_ = false;
+            this.mode_ = null;
             return false;
         }
-
-        return true;
     }
 
     /**
+     * Handle the long press of touch and pen pointers (the pointer events are passed to other interactions
+     * until the long press is completed, e.g. for pan and pinch)
      * @inheritDoc
      * @param {ol/MapBrowserPointerEvent} evt
      */
-    handleUpEvent(evt) {
-        let e = evt.originalEvent;
-
-        // add current mask to history
-        if (this.allowDraw_ && this.tileMask_ && this.history) {
-            this.history.addMask(this.tileMask_.mask);
+    handleEvent(evt) {
+        let pointerEvent = evt.pointerEvent;
+        if (!pointerEvent || !this.allowLongPress_) return super.handleEvent(evt);
+
+        let lp = this.longPress_;
+        switch (evt.type) {
+            case MapBrowserEventType.POINTERDOWN:
+                if (this.longPressDraw_) { // the second pointer (e.g. pinch) finishes the selection
+                    this.endDraw_();
+                    this.longPressDraw_ = false;
+                    this.handlingDownUpSequence = false;
+                    return true;
+                }
+                if (lp) { // the second pointer cancels the long press
+                    this.cancelLongPress_();
+                    break;
+                }
+                if (!this.handlingDownUpSequence && (pointerEvent.pointerType == "touch" || pointerEvent.pointerType == "pen") && !this.condition_(evt)) {
+                    this.longPress_ = {
+                        pointerId: pointerEvent.pointerId,
+                        pixel: evt.pixel,
+                        event: evt,
+                        timeout: setTimeout(() => this.onLongPress_(), this.longPressDelay_)
+                    };
+                    super.handleEvent(evt); // track the pointer
+                    return true;
+                }
+                break;
+            case MapBrowserEventType.POINTERDRAG:
+                if (lp && lp.pointerId == pointerEvent.pointerId) {
+                    let dx = evt.pixel[0] - lp.pixel[0],
+                        dy = evt.pixel[1] - lp.pixel[1];
+                    if (dx * dx + dy * dy > this.longPressTolerance_ * this.longPressTolerance_) this.cancelLongPress_();
+                }
+                if (this.longPressDraw_) {
+                    super.handleEvent(evt);
+                    return false; // the map must not be panned while the threshold is changing
+                }
+                break;
+            case MapBrowserEventType.POINTERUP:
+                this.cancelLongPress_();
+                if (this.longPressDraw_) {
+                    this.longPressDraw_ = false;
+                    super.handleEvent(evt);
+                    return true; // let other interactions finish their sequences
+                }
+                break;
         }
 
-        // reset all
-        this.currentThreshold_ = this.colorThreshold;
-        this.allowDraw_ = false;
-        this.oldMask_ = null;
-        this.addMode_ = false;
-
-        return false;
+        return super.handleEvent(evt);
     }
 
     /**
      * @private
      */
-    onMapKeyDown_(evt) {
-        let map = this.getMap();
-        if (map) {
-            let div = map.getTargetElement();
-            if (evt.keyCode == 17 && this.addClass != null && this.allowAdd_) // ctrl press (add mode on)
-                div.classList.add(this.addClass);
+    onLongPress_() {
+        let lp = this.longPress_;
+        this.longPress_ = null;
+        if (!lp || !this.getMap()) return;
+
+        if (this.startDraw_(lp.pixel, lp.event)) {
+            this.longPressDraw_ = true;
+            this.handlingDownUpSequence = true; // the next drag and up events are handled by the wand
+        }
+    }
+
+    /**
+     * @private
+     */
+    cancelLongPress_() {
+        if (this.longPress_) {
+            clearTimeout(this.longPress_.timeout);
+            this.longPress_ = null;
+        }
+    }
+
+    /**
+     * Start a new selection
+     * @private
+     * @param {ol/pixel/Pixel} pixel Seed pixel in the viewport
+     * @param {ol/MapBrowserPointerEvent} evt Event for the mode conditions
+     * @return {boolean}
+     */
+    startDraw_(pixel, evt) {
+        if (this.brush_) return this.startStroke_(pixel, evt);
+        if (!this.tileMask_ || !this.tileMask_.isReady() || this.getMap().getView().getAnimating()) return false;
+        if (this.pendingDraw_) return false; // the previous selection is not finished
+
+        this.downPoint_ = { x: Math.round(pixel[0]), y: Math.round(pixel[1]) }; // pointer down point (base point)
+        this.currentThreshold_ = this.colorThreshold;
+        this.allowDraw_ = true;
+        this.mode_ = this.getMode_(evt);
+        // the union and the exclusive-or with the empty mask are the new mask (for all steps of the drag)
+        if (!this.tileMask_.sourceMask && (this.mode_ == MaskOperation.UNION || this.mode_ == MaskOperation.XOR)) this.mode_ = null;
+        this.tileMask_.setStyleMode(this.mode_);
+        this.dispatchSelectEvent_(MagicWandEventType.SELECTSTART);
+        this.drawMask_(this.downPoint_.x, this.downPoint_.y, this.currentThreshold_, this.mode_, this.blurRadius, this.contiguous);
+
+        return true;
+    }
+
+    /**
+     * @inheritDoc
+     * @param {ol/MapBrowserPointerEvent} evt
+     */
+    handleUpEvent(evt) {
+        this.endDraw_();
+        return false;
+    }
+
+    /**
+     * Finish the current drawing
+     * @private
+     */
+    endDraw_() {
+        if (this.stroke_) this.endStroke_();
+        if (this.allowDraw_) {
+            let mode = this.mode_,
+                threshold = this.currentThreshold_,
+                point = this.downPoint_;
+            let end = () => {
+                if (this.pendingEnd_ !== end) return; // the selection is finished by another change of the mask
+                this.pendingEnd_ = null;
+                this.addToHistory_();
+                this.dispatchSelectEvent_(MagicWandEventType.SELECTEND, mode, threshold, point);
+            };
+            this.pendingEnd_ = end;
+            // wait for the last mask from the worker
+            this.whenDrawn_(this.pendingDraw_, end);
+        }
+
+        // reset all
+        this.currentThreshold_ = this.colorThreshold;
+        this.allowDraw_ = false;
+        this.oldMask_ = null;
+        this.mode_ = null;
+    }
+
+    /**
+     * Finish the selection before another change of the mask: the pending mask of the worker is dropped
+     * and the current mask is added to the history, so the history keeps the order of the changes
+     * @private
+     */
+    finishDraw_() {
+        if (this.allowDraw_) this.endDraw_();
+        if (this.pendingDraw_ && this.engine_) this.engine_.cancel("fill");
+        this.pendingDraw_ = null;
+        if (this.pendingEnd_) this.pendingEnd_();
+    }
+
+    /**
+     * Start the brush stroke
+     * @private
+     * @param {ol/pixel/Pixel} pixel
+     * @param {ol/MapBrowserEvent} evt
+     * @return {boolean}
+     */
+    startStroke_(pixel, evt) {
+        if (!this.tileMask_ || this.pendingDraw_) return false; // the previous selection is not finished
+
+        let erase = this.getBrushOperation_(this.getMode_(evt)) == MaskOperation.DIFFERENCE;
+        this.stroke_ = { erase: erase, last: null };
+        this.tileMask_.setStyleMode(erase ? MaskOperation.DIFFERENCE : MaskOperation.UNION);
+        this.paintStroke_(pixel);
+
+        return true;
+    }
+
+    /**
+     * Paint (or erase) the segment from the last point of the stroke to the pixel
+     * @private
+     * @param {ol/pixel/Pixel} pixel
+     */
+    paintStroke_(pixel) {
+        let tile = this.tileMask_,
+            stroke = this.stroke_;
+        if (!tile || !stroke) return;
+
+        let map = this.getMap(),
+            view = map.getView(),
+            resolution = view.getResolution(),
+            offset = MagicWand.getMainWorldOffset(map), // viewport offset in the main world
+            point = [pixel[0] + Math.round(offset.x), pixel[1] + Math.round(offset.y)],
+            radius = this.brushUnits == "map" ? this.brushRadius / resolution : this.brushRadius,
+            mask = MagicWand.createBrushMask_(stroke.last || point, point, radius),
+            old = tile.sourceMask; // the stroke is combined at the resolution of the mask
+
+        stroke.last = point;
+        if (!mask || (!old && stroke.erase)) return;
+
+        mask.resolution = resolution;
+        mask.projection = view.getProjection().getCode();
+
+        if (old) {
+            // check a shortest path for combination
+            let distance = (mask.globalOffset.x + mask.width / 2) - MagicWand.getMaskCenterX_(old, resolution);
+            if (Math.abs(distance) > offset.width / 2) mask.globalOffset.x += distance > 0 ? -offset.width : offset.width;
+            mask = MagicWand.combineMasks(old, mask, stroke.erase ? MaskOperation.DIFFERENCE : MaskOperation.UNION);
+        }
+
+        if (mask) tile.setMask(mask);
+        else tile.clearMask();
+        this.dispatchMaskChange_();
+    }
+
+    /**
+     * Finish the brush stroke (the stroke is one entry of the history)
+     * @private
+     */
+    endStroke_() {
+        this.stroke_ = null;
+        if (!this.tileMask_) return;
+        this.tileMask_.setStyleMode(null);
+        this.addToHistory_();
+    }
+
+    /**
+     * Get the operation of the brush: the subtract condition switches the painting brush to the erasing
+     * @private
+     * @param {MaskOperation} mode Current combination mode
+     * @return {MaskOperation} Union (paint), difference (erase) or null (no brush)
+     */
+    getBrushOperation_(mode) {
+        if (!this.brush_) return null;
+        if (this.brush_ == BrushMode.ERASE || mode == MaskOperation.DIFFERENCE) return MaskOperation.DIFFERENCE;
+        return MaskOperation.UNION;
+    }
+
+    /**
+     * Create the mask of the brush segment (a pixel is filled if its center is inside)
+     * @private
+     * @param {ol/pixel/Pixel} p0 Start point in the main world basis
+     * @param {ol/pixel/Pixel} p1 End point in the main world basis
+     * @param {number} radius Brush radius (in pixels)
+     * @return {Mask} Mask reduced to bounds (null if there are no pixels)
+     */
+    static createBrushMask_(p0, p1, radius) {
+        var x, y, cx, cy, t, dx, dy,
+            r = Math.max(radius, 0.5),
+            rr = r * r,
+            x0 = Math.floor(Math.min(p0[0], p1[0]) - r),
+            y0 = Math.floor(Math.min(p0[1], p1[1]) - r),
+            w = Math.ceil(Math.max(p0[0], p1[0]) + r) - x0,
+            h = Math.ceil(Math.max(p0[1], p1[1]) + r) - y0,
+            sx = p1[0] - p0[0],
+            sy = p1[1] - p0[1],
+            ss = sx * sx + sy * sy,
+            data = new Uint8Array(w * h);
+
+        for (y = 0; y < h; y++) {
+            cy = y0 + y + 0.5; // pixel center
+            for (x = 0; x < w; x++) {
+                cx = x0 + x + 0.5;
+                // distance to the segment
+                t = ss > 0 ? Math.min(Math.max(((cx - p0[0]) * sx + (cy - p0[1]) * sy) / ss, 0), 1) : 0;
+                dx = cx - p0[0] - t * sx;
+                dy = cy - p0[1] - t * sy;
+                if (dx * dx + dy * dy <= rr) data[y * w + x] = 1;
+            }
+        }
+
+        return MagicWand.cropMask_(data, w, h, { x: x0, y: y0 });
+    }
+
+    /**
+     * Dispatch the selection event for the current drawing
+     * @private
+     * @param {MagicWandEventType} type
+     * @param {MaskOperation} [mode] Mode of the drawing (by default - the current mode)
+     * @param {number} [threshold] Color threshold (by default - the current threshold)
+     * @param {Point} [point] Start pixel (by default - the current pointer down point)
+     */
+    dispatchSelectEvent_(type, mode = this.mode_, threshold = this.currentThreshold_, point = this.downPoint_) {
+        let pixel = [point.x, point.y],
+            coordinate = this.getMap().getCoordinateFromPixel(pixel);
+        if (type == MagicWandEventType.SELECTEND) {
+            let tile = this.tileMask_;
+            this.lastSelection_ = {
+                threshold: threshold,
+                color: tile.isReady() ? tile.getPixelColor(point.x, point.y) : null,
+                coordinate: coordinate,
+                time: new Date()
+            };
+        }
+        this.dispatchEvent(new MagicWandEvent(type, {
+            pixel: pixel,
+            coordinate: coordinate,
+            mode: mode,
+            threshold: threshold,
+            mask: type == MagicWandEventType.SELECTSTART ? null : this.tileMask_.sourceMask,
+            allowUndo: this.history ? this.history.allowUndo() : false,
+            allowRedo: this.history ? this.history.allowRedo() : false
+        }));
+    }
+
+    /**
+     * Dispatch the event of the mask change
+     * @private
+     */
+    dispatchMaskChange_() {
+        this.dispatchEvent(new MagicWandEvent(MagicWandEventType.MASKCHANGE, {
+            mask: this.tileMask_ ? this.tileMask_.sourceMask : null,
+            allowUndo: this.history ? this.history.allowUndo() : false,
+            allowRedo: this.history ? this.history.allowRedo() : false
+        }));
+    }
+
+    /**
+     * Add current mask to history (empty mask only after the subtraction)
+     * @private
+     */
+    addToHistory_() {
+        if (!this.tileMask_ || !this.history) return;
+        let mask = this.tileMask_.sourceMask;
+        if (mask === this.historyMask_) return;
+        if (mask || this.history.getCurrent()) this.history.addMask(mask);
+        this.historyMask_ = mask;
+    }
+
+    /**
+     * @private
+     */
+    onMapKeyDown_(evt) {
+        let map = this.getMap();
+        if (map) {
+            let div = map.getTargetElement();
+            this.updateModeClass_(div, evt); // modifier key press
         }
     }
 
@@ -880,7 +2190,7 @@ export default class MagicWand extends PointerInteraction {
         if (map) {
             let div = map.getTargetElement();
             let view = map.getView();
-            if (evt.keyCode == 17 && this.allowAdd_) div.classList.remove(this.addClass); // ctrl unpress (add mode off)
+            this.updateModeClass_(div, evt); // modifier key unpress
             if (evt.keyCode == 83 && this.isDebug_) { // 's' key - show current snapshot (debug mode)
                 if (!this.tileMask_ || !this.tileMask_.isReady() || view.getInteracting() || view.getAnimating()) return;
                 this.tileMask_.context.clearRect(0, 0, this.tileMask_.size.w, this.tileMask_.size.h);
@@ -931,15 +2241,79 @@ export default class MagicWand extends PointerInteraction {
 
                 this.tileMask_.render(true);
             }
-            if (evt.ctrlKey && this.history) { // history manipulations
-                var img = null;
-                if (evt.keyCode == 89) img = this.history.redo(); // ctrl + y
-                if (evt.keyCode == 90) img = this.history.undo(); // ctrl + z
-                if (img && this.tileMask_) this.tileMask_.setMask(img); // apply mask from history
+            if (evt.keyCode == 13 && this.commitKey && this.target && this.tileMask_ && !MagicWand.isEditableElement_(evt.target)) { // 'Enter' key - commit the selection
+                this.commit();
+            }
+            if (evt.ctrlKey && this.history && this.tileMask_) { // history manipulations
+                if (evt.keyCode == 89) this.redo(); // ctrl + y
+                if (evt.keyCode == 90) this.undo(); // ctrl + z
             }
         }
     }
 
+    /**
+     * Check whether the element handles the keys itself: text fields, form controls, editable content
+     * @private
+     * @param {EventTarget} element
+     * @return {boolean}
+     */
+    static isEditableElement_(element) {
+        if (!element || !element.tagName) return false;
+        return element.isContentEditable || /^(INPUT|TEXTAREA|SELECT|BUTTON)$/.test(element.tagName);
+    }
+
+    /**
+     * Get the mask combination mode by the mode conditions
+     * @private
+     * @param {ol/MapBrowserEvent} evt
+     * @return {MaskOperation} Operation or null (replace the mask)
+     */
+    getMode_(evt) {
+        for (let mode in this.modeConditions_) {
+            if (this.modeConditions_[mode](evt)) return this.allowedModes_[mode] ? mode : null;
+        }
+        return this.defaultMode_ && this.allowedModes_[this.defaultMode_] ? this.defaultMode_ : null;
+    }
+
+    /**
+     * Get the mask combination mode by the modifier keys (only the built-in mode conditions are checked)
+     * @private
+     * @param {KeyboardEvent} evt Keyboard event or an empty object
+     * @return {MaskOperation} Operation or null (replace the mask)
+     */
+    getKeyMode_(evt) {
+        for (let mode in this.modeConditions_) {
+            if (this.keyModes_[mode] && this.modeConditions_[mode]({ originalEvent: evt })) return this.allowedModes_[mode] ? mode : null;
+        }
+        return this.defaultMode_ && this.allowedModes_[this.defaultMode_] ? this.defaultMode_ : null;
+    }
+
+    /**
+     * Set CSS class of the current mode for map
+     * @private
+     * @param {HTMLElement} div Map target element
+     * @param {KeyboardEvent} evt
+     */
+    updateModeClass_(div, evt = {}) {
+        var classes = {
+            [MaskOperation.UNION]: this.addClass,
+            [MaskOperation.DIFFERENCE]: this.subtractClass,
+            [MaskOperation.INTERSECTION]: this.intersectClass,
+            [MaskOperation.XOR]: this.xorClass
+        };
+        var mode = this.getKeyMode_(evt);
+        var brush = this.getBrushOperation_(mode);
+        if (brush) mode = null; // the brush has its own classes
+        for (var m in classes) {
+            if (!classes[m]) continue;
+            if (m == mode) div.classList.add(classes[m]);
+            else div.classList.remove(classes[m]);
+        }
+        if (this.brushClass) div.classList.toggle(this.brushClass, brush == MaskOperation.UNION);
+        if (this.eraseClass) div.classList.toggle(this.eraseClass, brush == MaskOperation.DIFFERENCE);
+        if (this.tileMask_ && !this.stroke_) this.tileMask_.setStyleMode(this.allowDraw_ ? this.mode_ : mode);
+    }
+
     //#endregion
 
     /**
@@ -970,10 +2344,17 @@ export default class MagicWand extends PointerInteraction {
      * @private
      */
     onDeactivate_() {
+        this.cancelLongPress_();
+        this.longPressDraw_ = false;
         this.allowDraw_ = false;
+        this.stroke_ = null;
+        this.clipCache_ = null;
         this.downPoint_ = null;
         this.oldMask_ = null;
-        this.addMode_ = false;
+        this.mode_ = null;
+        this.pendingDraw_ = null;
+        this.pendingEnd_ = null;
+        if (this.engine_) this.engine_.cancel();
         this.disconnectFromMap();
         if (this.tileMask_) this.tileMask_.dispose();
         this.tileMask_ = null;
@@ -987,6 +2368,8 @@ export default class MagicWand extends PointerInteraction {
         this.onDeactivate_();
 
         if (this.history) this.history.dispose();
+        if (this.engine_) this.engine_.dispose();
+        this.engine_ = null;
 
         this.history = null;
         this.layers = null;
@@ -1024,11 +2407,14 @@ export default class MagicWand extends PointerInteraction {
 
         let div = map.getTargetElement();
         if (this.drawClass) div.classList.add(this.drawClass);
+        if (this.brush_) this.updateModeClass_(div);
 
-        this.onMapContextMenuListener_ = (e) => {
-            if (this.getActive()) e.preventDefault();
-        };
-        div.addEventListener("contextmenu", this.onMapContextMenuListener_);
+        if (this.suppressContextMenu_) {
+            this.onMapContextMenuListener_ = (e) => {
+                if (this.getActive()) e.preventDefault();
+            };
+            div.addEventListener("contextmenu", this.onMapContextMenuListener_);
+        }
     }
 
     /**
@@ -1049,7 +2435,15 @@ export default class MagicWand extends PointerInteraction {
             div.classList.remove(this.drawClass);
             div.classList.remove(this.waitClass);
             div.classList.remove(this.addClass);
-            div.removeEventListener("contextmenu", this.onMapContextMenuListener_);
+            div.classList.remove(this.subtractClass);
+            div.classList.remove(this.intersectClass);
+            div.classList.remove(this.xorClass);
+            div.classList.remove(this.brushClass);
+            div.classList.remove(this.eraseClass);
+            if (this.onMapContextMenuListener_) {
+                div.removeEventListener("contextmenu", this.onMapContextMenuListener_);
+                this.onMapContextMenuListener_ = null;
+            }
         }
     }
 
@@ -1057,7 +2451,8 @@ export default class MagicWand extends PointerInteraction {
      * @private
      */
     onViewResChanged_() {
-        this.clearHistory_();
+        // the drawing can't be continued at another resolution
+        if (this.allowDraw_) this.endDraw_();
     }
 
     /**
@@ -1065,6 +2460,7 @@ export default class MagicWand extends PointerInteraction {
      */
     clearHistory_() {
         if (this.history) this.history.clear();
+        this.historyMask_ = null;
     }
 
     /**
@@ -1085,263 +2481,1745 @@ export default class MagicWand extends PointerInteraction {
 
     //#endregion
 
-    //#region Mask
+    //#region Mask
+
+    /**
+     * @protected
+     * @param {ol/Map} map
+     */
+    createMask(map) {
+        let div = map.getTargetElement();
+        this.tileMask_ = new TileMask({ map: map, layers: this.layers, hatchTimeout: this.hatchTimeout, hatchLength: this.hatchLength, engine: this.engine_, buffer: this.snapshotBuffer, style: this.style_, reader: this.dataReader_ });
+        if (this.engine_) {
+            let tile = this.tileMask_;
+            tile.on("scanFinished", () => {
+                if (tile.snapshot && this.engine_.isAvailable()) this.engine_.setSnapshot(tile.snapshot, tile.snapshotSize.w, tile.snapshotSize.h, tile.bytes);
+            });
+        }
+        this.tileMask_.on("sampleError", (e) => {
+            this.dispatchEvent(new MagicWandEvent(MagicWandEventType.SAMPLEERROR, { layer: e.layer, reason: e.reason, error: e.error }));
+        });
+        if (this.waitClass) {
+            this.tileMask_.on("scanStarted", () => div.classList.add(this.waitClass));
+            this.tileMask_.on("scanFinished", () => div.classList.remove(this.waitClass));
+        }
+    }
+
+    /**
+     * Combine two binary masks with different global offsets
+     * @param {Mask} mask1 First mask
+     * @param {Mask} mask2 Second mask
+     * @param {MaskOperation} operation Boolean operation (mask1 [operation] mask2)
+     * @return {Mask} Result mask reduced to bounds (null if the result is empty)
+     */
+    static combineMasks(mask1, mask2, operation) {
+        if (mask1.resolution && mask2.resolution && mask1.resolution != mask2.resolution) {
+            mask2 = MagicWand.resampleMask(mask2, mask1.resolution);
+            // the second mask has no pixels: the result is the first mask (or nothing for the intersection)
+            if (!mask2) return operation == MaskOperation.INTERSECTION ? null : MagicWand.combineMasks(mask1, mask1, MaskOperation.UNION);
+        }
+
+        var b1 = mask1.bounds,
+            b2 = mask2.bounds,
+            px1 = mask1.globalOffset.x,
+            py1 = mask1.globalOffset.y,
+            px2 = mask2.globalOffset.x,
+            py2 = mask2.globalOffset.y,
+            r, // result bounds in the global basis
+            x, y, x0, y0, x1, y1, i, k, v;
+
+        switch (operation) {
+            case MaskOperation.UNION:
+            case MaskOperation.XOR:
+                r = {
+                    minX: Math.min(b1.minX + px1, b2.minX + px2),
+                    minY: Math.min(b1.minY + py1, b2.minY + py2),
+                    maxX: Math.max(b1.maxX + px1, b2.maxX + px2),
+                    maxY: Math.max(b1.maxY + py1, b2.maxY + py2)
+                };
+                break;
+            case MaskOperation.DIFFERENCE:
+                r = {
+                    minX: b1.minX + px1,
+                    minY: b1.minY + py1,
+                    maxX: b1.maxX + px1,
+                    maxY: b1.maxY + py1
+                };
+                break;
+            case MaskOperation.INTERSECTION:
+                r = {
+                    minX: Math.max(b1.minX + px1, b2.minX + px2),
+                    minY: Math.max(b1.minY + py1, b2.minY + py2),
+                    maxX: Math.min(b1.maxX + px1, b2.maxX + px2),
+                    maxY: Math.min(b1.maxY + py1, b2.maxY + py2)
+                };
+                if (r.minX > r.maxX || r.minY > r.maxY) return null;
+                break;
+            default:
+                return null;
+        }
+
+        var w = r.maxX - r.minX + 1, // size of the result region
+            h = r.maxY - r.minY + 1,
+            result = new Uint8Array(w * h),
+            data1 = mask1.data,
+            data2 = mask2.data,
+            w1 = mask1.width,
+            w2 = mask2.width;
+
+        // copy the first mask (intersection of its bounds with the result region)
+        x0 = Math.max(b1.minX + px1, r.minX);
+        y0 = Math.max(b1.minY + py1, r.minY);
+        x1 = Math.min(b1.maxX + px1, r.maxX);
+        y1 = Math.min(b1.maxY + py1, r.maxY);
+        for (y = y0; y <= y1; y++) {
+            k = (y - py1) * w1 + (x0 - px1);
+            result.set(data1.subarray(k, k + x1 - x0 + 1), (y - r.minY) * w + (x0 - r.minX)); // copy row
+        }
+
+        // apply the second mask (intersection of its bounds with the result region)
+        x0 = Math.max(b2.minX + px2, r.minX);
+        y0 = Math.max(b2.minY + py2, r.minY);
+        x1 = Math.min(b2.maxX + px2, r.maxX);
+        y1 = Math.min(b2.maxY + py2, r.maxY);
+        for (y = y0; y <= y1; y++) {
+            k = (y - py2) * w2 - px2; // row of the second mask
+            i = (y - r.minY) * w - r.minX; // row of the result
+            // walk through cols (X)
+            for (x = x0; x <= x1; x++) {
+                v = data2[k + x];
+                switch (operation) {
+                    case MaskOperation.UNION:
+                        if (v === 1) result[i + x] = 1;
+                        break;
+                    case MaskOperation.DIFFERENCE:
+                        if (v === 1) result[i + x] = 0;
+                        break;
+                    case MaskOperation.INTERSECTION:
+                        if (v === 0) result[i + x] = 0;
+                        break;
+                    case MaskOperation.XOR:
+                        if (v === 1) result[i + x] ^= 1;
+                        break;
+                }
+            }
+        }
+
+        var mask = MagicWand.cropMask_(result, w, h, { x: r.minX, y: r.minY });
+        if (mask) {
+            mask.resolution = mask1.resolution || mask2.resolution;
+            mask.projection = mask1.projection || mask2.projection;
+        }
+        return mask;
+    }
+
+    /**
+     * X of the mask center in the main world basis at the resolution
+     * @private
+     * @param {Mask} mask
+     * @param {number} resolution
+     * @return {number}
+     */
+    static getMaskCenterX_(mask, resolution) {
+        var scale = mask.resolution ? mask.resolution / resolution : 1;
+        return (mask.globalOffset.x + mask.width / 2) * scale;
+    }
+
+    /**
+     * Resample the binary mask to another resolution (nearest neighbor)
+     * @param {Mask} mask Mask with the known resolution
+     * @param {number} resolution New resolution
+     * @param {Bounds} [clip] Restriction of the result in the main world basis (at the new resolution)
+     * @return {Mask} Resampled mask (null if the result is empty)
+     */
+    static resampleMask(mask, resolution, clip) {
+        if (!mask.resolution || mask.resolution == resolution) return mask;
+
+        var scale = mask.resolution / resolution,
+            b = mask.bounds,
+            g = mask.globalOffset,
+            src = mask.data,
+            sw = mask.width,
+            // bounds in the main world basis at the new resolution
+            x0 = Math.floor((g.x + b.minX) * scale),
+            y0 = Math.floor((g.y + b.minY) * scale),
+            x1 = Math.ceil((g.x + b.maxX + 1) * scale) - 1,
+            y1 = Math.ceil((g.y + b.maxY + 1) * scale) - 1,
+            x, y, i, k, sx, sy;
+
+        if (clip) {
+            x0 = Math.max(x0, clip.minX);
+            y0 = Math.max(y0, clip.minY);
+            x1 = Math.min(x1, clip.maxX);
+            y1 = Math.min(y1, clip.maxY);
+            if (x0 > x1 || y0 > y1) return null;
+        }
+
+        var w = x1 - x0 + 1,
+            h = y1 - y0 + 1,
+            data = new Uint8Array(w * h),
+            cols = new Int32Array(w); // source column for each column of the result
+
+        for (x = 0; x < w; x++) {
+            sx = Math.floor((x0 + x + 0.5) / scale) - g.x; // by the pixel center
+            cols[x] = sx < b.minX || sx > b.maxX ? -1 : sx;
+        }
+        // walk through rows (Y)
+        for (y = 0; y < h; y++) {
+            sy = Math.floor((y0 + y + 0.5) / scale) - g.y;
+            if (sy < b.minY || sy > b.maxY) continue;
+            k = sy * sw;
+            i = y * w;
+            // walk through cols (X)
+            for (x = 0; x < w; x++) {
+                if (cols[x] > -1 && src[k + cols[x]] === 1) data[i + x] = 1;
+            }
+        }
+
+        var result = MagicWand.cropMask_(data, w, h, { x: x0, y: y0 });
+        if (result) {
+            result.resolution = resolution;
+            result.projection = mask.projection;
+        }
+        return result;
+    }
+
+    /**
+     * Convert the mask to the JSON-compatible object (the data is run-length encoded)
+     * @param {Mask} mask
+     * @return {SerializedMask}
+     */
+    static serializeMask(mask) {
+        return {
+            width: mask.width,
+            height: mask.height,
+            bounds: Object.assign({}, mask.bounds),
+            globalOffset: { x: mask.globalOffset.x, y: mask.globalOffset.y },
+            resolution: mask.resolution == null ? null : mask.resolution,
+            projection: mask.projection || null,
+            runs: Array.from(MagicWand.encodeRuns_(mask.data))
+        };
+    }
+
+    /**
+     * Restore the mask from the JSON-compatible object (see 'serializeMask')
+     * @param {SerializedMask} obj
+     * @return {Mask}
+     */
+    static deserializeMask(obj) {
+        if (!obj || !(obj.width > 0) || !(obj.height > 0) || !obj.bounds || !obj.globalOffset || !Array.isArray(obj.runs)) {
+            throw new Error("Invalid mask data");
+        }
+        let data = MagicWand.decodeRuns_(obj.runs, obj.width * obj.height);
+        if (!data) throw new Error("Invalid mask data");
+
+        let mask = {
+            data: data,
+            width: obj.width,
+            height: obj.height,
+            bounds: Object.assign({}, obj.bounds),
+            globalOffset: { x: obj.globalOffset.x, y: obj.globalOffset.y }
+        };
+        if (obj.resolution != null) mask.resolution = obj.resolution;
+        if (obj.projection) mask.projection = obj.projection;
+        return mask;
+    }
+
+    /**
+     * Run-length encoding of the binary data: lengths of the alternating runs of 0 and 1 (starts with 0)
+     * @private
+     * @param {Uint8Array} data
+     * @param {number} [maxRuns=Infinity] Max amount of runs
+     * @return {Uint32Array} Runs (null if there are more runs than the max amount)
+     */
+    static encodeRuns_(data, maxRuns = Infinity) {
+        var i, v = 0, len = 0, count = 0,
+            n = data.length,
+            runs = new Uint32Array(Math.min(n + 1, maxRuns));
+
+        for (i = 0; i < n; i++) {
+            if ((data[i] === 1 ? 1 : 0) === v) {
+                len++;
+                continue;
+            }
+            if (count == runs.length) return null;
+            runs[count++] = len;
+            v = 1 - v;
+            len = 1;
+        }
+        if (count == runs.length) return null;
+        runs[count++] = len;
+
+        return runs.slice(0, count);
+    }
+
+    /**
+     * @private
+     * @param {Array<number>|Uint32Array} runs Lengths of the alternating runs of 0 and 1 (starts with 0)
+     * @param {number} length Length of the data
+     * @return {Uint8Array} Binary data (null if the runs don't match the length)
+     */
+    static decodeRuns_(runs, length) {
+        var i, k = 0,
+            data = new Uint8Array(length);
+        for (i = 0; i < runs.length; i++) {
+            if (!(runs[i] >= 0) || k + runs[i] > length) return null;
+            if (i % 2 == 1) data.fill(1, k, k + runs[i]); // odd runs are 1
+            k += runs[i];
+        }
+        return k == length ? data : null;
+    }
+
+    /**
+     * Reduce the binary data to bounds of "black" pixels
+     * @private
+     * @param {Uint8Array} data
+     * @param {number} width
+     * @param {number} height
+     * @param {Point} globalOffset Data offset in the main world basis
+     * @return {Mask} Mask with bounds [0,0,width,height] (null if there are no "black" pixels)
+     */
+    static cropMask_(data, width, height, globalOffset) {
+        var x, y, k,
+            minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (y = 0; y < height; y++) {
+            k = y * width;
+            for (x = 0; x < width; x++) {
+                if (data[k + x] === 0) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        if (maxX < 0) return null;
+
+        var w = maxX - minX + 1,
+            h = maxY - minY + 1,
+            result = data;
+        if (w != width || h != height) {
+            result = new Uint8Array(w * h);
+            for (y = 0; y < h; y++) {
+                k = (y + minY) * width + minX;
+                result.set(data.subarray(k, k + w), y * w); // copy row
+            }
+        }
+
+        return {
+            data: result,
+            width: w,
+            height: h,
+            bounds: {
+                minX: 0,
+                minY: 0,
+                maxX: w - 1,
+                maxY: h - 1
+            },
+            globalOffset: {
+                x: globalOffset.x + minX,
+                y: globalOffset.y + minY
+            }
+        };
+    }
+
+    /**
+     * Dilate (grow) the binary mask by the disk
+     * @param {Mask} mask
+     * @param {number} radius Radius of the disk (in pixels of the mask)
+     * @return {Mask} Result mask reduced to bounds
+     */
+    static dilateMask(mask, radius) {
+        var pad = Math.max(Math.ceil(radius), 0),
+            src = MagicWand.expandMask_(mask, pad),
+            len = src.width * src.height,
+            dist = MagicWand.distanceTransform_(src.data, src.width, src.height, 1),
+            rr = radius * radius,
+            data = new Uint8Array(len),
+            i;
+
+        for (i = 0; i < len; i++) {
+            if (dist[i] <= rr) data[i] = 1;
+        }
+
+        return MagicWand.toMorphologyResult_(data, src, mask);
+    }
+
+    /**
+     * Erode (shrink) the binary mask by the disk
+     * @param {Mask} mask
+     * @param {number} radius Radius of the disk (in pixels of the mask)
+     * @return {Mask} Result mask reduced to bounds (null if all pixels are removed)
+     */
+    static erodeMask(mask, radius) {
+        var src = MagicWand.expandMask_(mask, 1), // 1px of the background around the mask
+            len = src.width * src.height,
+            dist = MagicWand.distanceTransform_(src.data, src.width, src.height, 0),
+            rr = radius * radius,
+            data = new Uint8Array(len),
+            i;
+
+        for (i = 0; i < len; i++) {
+            if (dist[i] > rr) data[i] = 1;
+        }
+
+        return MagicWand.toMorphologyResult_(data, src, mask);
+    }
+
+    /**
+     * Morphological opening (erosion then dilation): removes spurs and small islands
+     * @param {Mask} mask
+     * @param {number} radius Radius of the disk (in pixels of the mask)
+     * @return {Mask} Result mask reduced to bounds (null if all pixels are removed)
+     */
+    static openMask(mask, radius) {
+        var res = MagicWand.erodeMask(mask, radius);
+        return res ? MagicWand.dilateMask(res, radius) : null;
+    }
+
+    /**
+     * Morphological closing (dilation then erosion): closes small gaps and holes
+     * @param {Mask} mask
+     * @param {number} radius Radius of the disk (in pixels of the mask)
+     * @return {Mask} Result mask reduced to bounds
+     */
+    static closeMask(mask, radius) {
+        return MagicWand.erodeMask(MagicWand.dilateMask(mask, radius), radius);
+    }
+
+    /**
+     * Fill holes of the binary mask
+     * @param {Mask} mask
+     * @param {number} [maxArea] Only holes smaller than the area are filled (in pixels of the mask), all holes if not specified
+     * @return {Mask} Result mask reduced to bounds
+     */
+    static fillMaskHoles(mask, maxArea = Infinity) {
+        var src = MagicWand.expandMask_(mask, 1), // 1px of the background around the mask
+            len = src.width * src.height,
+            data = src.data,
+            comp = MagicWand.labelComponents_(data, src.width, src.height, 0, false),
+            outside = comp.labels[0], // the corner is always outside
+            label, i;
+
+        for (i = 0; i < len; i++) {
+            label = comp.labels[i];
+            if (label > 0 && label != outside && comp.areas[label] < maxArea) data[i] = 1;
+        }
+
+        return MagicWand.toMorphologyResult_(data, src, mask);
+    }
+
+    /**
+     * Remove islands (connected areas) of the binary mask
+     * @param {Mask} mask
+     * @param {number} minArea Islands smaller than the area are removed (in pixels of the mask)
+     * @return {Mask} Result mask reduced to bounds (null if all pixels are removed)
+     */
+    static removeMaskIslands(mask, minArea) {
+        var src = MagicWand.expandMask_(mask, 0),
+            len = src.width * src.height,
+            data = src.data,
+            comp = MagicWand.labelComponents_(data, src.width, src.height, 1, true),
+            label, i;
+
+        for (i = 0; i < len; i++) {
+            label = comp.labels[i];
+            if (label > 0 && comp.areas[label] < minArea) data[i] = 0;
+        }
+
+        return MagicWand.toMorphologyResult_(data, src, mask);
+    }
+
+    /**
+     * Copy the bounds of the binary mask to a new data with margins
+     * @private
+     * @param {Mask} mask
+     * @param {number} pad Margin on each side (in pixels)
+     * @return {Object} {Uint8Array} data, {int} width, {int} height, {Point} globalOffset (in the main world basis)
+     */
+    static expandMask_(mask, pad) {
+        var b = mask.bounds,
+            bw = b.maxX - b.minX + 1,
+            bh = b.maxY - b.minY + 1,
+            w = bw + 2 * pad,
+            h = bh + 2 * pad,
+            data = new Uint8Array(w * h),
+            src = mask.data,
+            y, k;
+
+        for (y = 0; y < bh; y++) {
+            k = (y + b.minY) * mask.width + b.minX;
+            data.set(src.subarray(k, k + bw), (y + pad) * w + pad); // copy row
+        }
+
+        return {
+            data: data,
+            width: w,
+            height: h,
+            globalOffset: {
+                x: mask.globalOffset.x + b.minX - pad,
+                y: mask.globalOffset.y + b.minY - pad
+            }
+        };
+    }
+
+    /**
+     * @private
+     * @param {Uint8Array} data Result data
+     * @param {Object} src Expanded source mask (see 'expandMask_')
+     * @param {Mask} mask Source mask
+     * @return {Mask} Result mask reduced to bounds (null if the result is empty)
+     */
+    static toMorphologyResult_(data, src, mask) {
+        var result = MagicWand.cropMask_(data, src.width, src.height, src.globalOffset);
+        if (result) {
+            result.resolution = mask.resolution;
+            result.projection = mask.projection;
+        }
+        return result;
+    }
+
+    /**
+     * Squared euclidean distance from each pixel to the nearest pixel with the value
+     * Algorithm: Felzenszwalb P., Huttenlocher D. "Distance Transforms of Sampled Functions"
+     * @private
+     * @param {Uint8Array} data
+     * @param {number} width
+     * @param {number} height
+     * @param {number} value Value of the target pixels (0 or 1)
+     * @return {Float64Array} Squared distances
+     */
+    static distanceTransform_(data, width, height, value) {
+        var x, y, i,
+            INF = 1e20,
+            n = Math.max(width, height),
+            dist = new Float64Array(width * height),
+            f = new Float64Array(n),
+            d = new Float64Array(n),
+            v = new Int32Array(n),
+            z = new Float64Array(n + 1);
+
+        for (i = 0; i < dist.length; i++) {
+            dist[i] = data[i] === value ? 0 : INF;
+        }
+
+        // 1-D transform of the sampled function
+        var transform = (len) => {
+            var k = 0, q, s;
+            v[0] = 0;
+            z[0] = -Infinity;
+            z[1] = Infinity;
+            for (q = 1; q < len; q++) {
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                while (s <= z[k]) {
+                    k--;
+                    s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                }
+                k++;
+                v[k] = q;
+                z[k] = s;
+                z[k + 1] = Infinity;
+            }
+            k = 0;
+            for (q = 0; q < len; q++) {
+                while (z[k + 1] < q) k++;
+                d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+            }
+        };
+
+        // walk through cols (X)
+        for (x = 0; x < width; x++) {
+            for (y = 0; y < height; y++) f[y] = dist[y * width + x];
+            transform(height);
+            for (y = 0; y < height; y++) dist[y * width + x] = d[y];
+        }
+        // walk through rows (Y)
+        for (y = 0; y < height; y++) {
+            i = y * width;
+            for (x = 0; x < width; x++) f[x] = dist[i + x];
+            transform(width);
+            for (x = 0; x < width; x++) dist[i + x] = d[x];
+        }
+
+        return dist;
+    }
+
+    /**
+     * Label connected areas of the pixels with the value
+     * @private
+     * @param {Uint8Array} data
+     * @param {number} width
+     * @param {number} height
+     * @param {number} value Value of the pixels (0 or 1)
+     * @param {boolean} diagonal Use 8-connectivity (otherwise 4-connectivity)
+     * @return {Object} {Int32Array} labels (0 - other pixels), {Array<number>} areas by label
+     */
+    static labelComponents_(data, width, height, value, diagonal) {
+        var x, y, i, j, k, nx, ny, dx, dy, area,
+            len = width * height,
+            labels = new Int32Array(len),
+            areas = [0],
+            stack = new Int32Array(len),
+            top;
+
+        for (i = 0; i < len; i++) {
+            if (data[i] !== value || labels[i] !== 0) continue;
+
+            k = areas.length; // new label
+            labels[i] = k;
+            area = 0;
+            top = 0;
+            stack[top++] = i;
+            while (top > 0) {
+                j = stack[--top];
+                area++;
+                x = j % width;
+                y = (j - x) / width;
+                for (dy = -1; dy <= 1; dy++) {
+                    ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        if (!diagonal && dx !== 0 && dy !== 0) continue;
+                        nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        j = ny * width + nx;
+                        if (data[j] === value && labels[j] === 0) {
+                            labels[j] = k;
+                            stack[top++] = j;
+                        }
+                    }
+                }
+            }
+            areas.push(area);
+        }
+
+        return { labels: labels, areas: areas };
+    }
+
+    /**
+     * @private
+     * @return {ol/interaction/MagicWand/FloodFill~ColorMetricFunction} current color metric (the band metric for the raw raster values)
+     */
+    getColorMetric_() {
+        if (this.dataReader_) return createBandMetric(this.bands);
+        if (typeof this.colorMetric === "function") return this.colorMetric;
+        var metric = ColorMetric[this.colorMetric];
+        if (!metric) throw new Error(`Unknown color metric: ${this.colorMetric}`);
+        return metric;
+    }
+
+    /**
+     * @private
+     * @param {Mask} mask
+     * @return {Mask} copy of the mask
+     */
+    cloneMask_(mask) {
+        var bounds = mask.bounds;
+        return {
+            data: new Uint8Array(mask.data),
+            width: mask.width,
+            height: mask.height,
+            bounds: {
+                minX: bounds.minX,
+                maxX: bounds.maxX,
+                minY: bounds.minY,
+                maxY: bounds.maxY
+            },
+            globalOffset: {
+                x: mask.globalOffset.x,
+                y: mask.globalOffset.y
+            },
+            resolution: mask.resolution,
+            projection: mask.projection
+        };
+    }
+
+    /**
+     * Restore the previous mask from the history
+     * @return {boolean} false if the undo is not available
+     */
+    undo() {
+        if (!this.history || !this.tileMask_) return false;
+        this.finishDraw_();
+        if (!this.history.allowUndo()) return false;
+        this.applyMask_(this.history.undo());
+        return true;
+    }
+
+    /**
+     * Restore the next mask from the history
+     * @return {boolean} false if the redo is not available
+     */
+    redo() {
+        if (!this.history || !this.tileMask_) return false;
+        this.finishDraw_();
+        if (!this.history.allowRedo()) return false;
+        this.applyMask_(this.history.redo());
+        return true;
+    }
+
+    /**
+     * Apply the mask from history
+     * @private
+     * @param {Mask} mask Mask or null (empty selection)
+     */
+    applyMask_(mask) {
+        if (mask) this.tileMask_.setMask(mask);
+        else this.tileMask_.clearMask();
+        this.historyMask_ = this.tileMask_.sourceMask;
+        this.dispatchMaskChange_();
+    }
+
+    /**
+     * Copy visible data from the mask for floodfill (considering 'multiWorld' and neighboring worlds)
+     * @private
+     * @param {Mask} mask
+     * @param {Object} image Snapshot: {Uint8Array} data, {int} width, {int} height, {int} bytes
+     * @param {PixelOffset} offset Snapshot (viewport) offset in the main world
+     * @return {Uint8Array} Mask data in the image basis
+     */
+    getVisibleData_(mask, image, offset) {
+        var offsets = [{ x: mask.globalOffset.x, y: mask.globalOffset.y }]; // add mask offset (current world)
+
+        var i, j, k, k1, k2, len, off,
+            x0, y0, x1, y1, dx, dy,
+            rx0, rx1, ry0, ry1,
+            w = image.width,
+            h = image.height,
+            data = new Uint8Array(w * h),
+            src = mask.data,
+            w1 = mask.width,
+            b = mask.bounds,
+            ix = image.width - 1, // right bottom of image (left top = [0,0])
+            iy = image.height - 1,
+            offsetsLen = offsets.length;
+
+        for (j = 0; j < offsetsLen; j++) {
+            off = offsets[j]; // mask offset in the global basis
+            dx = off.x - offset.x; // delta for the transformation to image basis
+            dy = off.y - offset.y;
+            x0 = dx + b.minX; // left top of mask (in image basis)
+            y0 = dy + b.minY;
+            x1 = dx + b.maxX; // right bottom of mask (in image basis)
+            y1 = dy + b.maxY;
+
+            // intersection of the mask with the image (viewport)
+            if (!(x1 < 0 || x0 > ix || y1 < 0 || y0 > iy)) {
+                rx0 = x0 > 0 ? x0 : 0;  // result of the intersection
+                ry0 = y0 > 0 ? y0 : 0;
+                rx1 = x1 < ix ? x1 : ix;
+                ry1 = y1 < iy ? y1 : iy;
+            } else {
+                continue;
+            }
+            // copy result of the intersection to mask data for floodfill
+            len = rx1 - rx0 + 1;
+            i = ry0 * w + rx0;
+            k1 = (ry0 - dy) * w1 + (rx0 - dx);
+            k2 = (ry1 - dy) * w1 + (rx0 - dx) + 1;
+            // walk through rows (Y)
+            for (k = k1; k < k2; k += w1) {
+                data.set(src.subarray(k, k + len), i); // copy row
+                i += w;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Create mask for the specified pixel position
+     * @private
+     * @param {number} x
+     * @param {number} y
+     * @param {number} threshold Color threshold
+     * @param {MaskOperation} mode Combination with the current mask (null - replace the current mask)
+     * @param {number} blurRadius Blur radius
+     * @param {boolean} contiguous Select only the connected area (flood fill) or all similar pixels
+     * @return {boolean|Promise<boolean>} Indicates whether or not the mask is changed (promise if the mask is created in the worker)
+     */
+    drawMask_(x, y, threshold, mode, blurRadius, contiguous) {
+        if (!this.tileMask_ || !this.tileMask_.isReady()) return false;
+
+        var size = this.tileMask_.size;
+        var map = this.getMap();
+        var ms = map.getSize();
+        var mapSize = { w: ms[0], h: ms[1] };
+        if (size.w != mapSize.w || size.h != mapSize.h) { // if map size is not equal to snapshot size then recreate snapshot
+            this.tileMask_.scan();
+            return false;
+            //if (!this.tileMask_.isReady()) return false;
+            //size = this.tileMask_.size;
+        }
+
+        var tile = this.tileMask_;
+
+        var offset = MagicWand.getMainWorldOffset(map); // viewport offset in the main world
+
+        // the snapshot can be larger than the viewport
+        var buffer = tile.buffer;
+        if (buffer > 0) {
+            offset = { x: offset.x - buffer, y: offset.y - buffer, width: offset.width }; // snapshot offset in the main world
+            x += buffer; // start pixel in the snapshot basis
+            y += buffer;
+        }
+
+        var view = map.getView(),
+            resolution = view.getResolution(),
+            projection = view.getProjection().getCode();
+
+        var image = {
+            data: tile.snapshot,
+            width: tile.snapshotSize.w,
+            height: tile.snapshotSize.h,
+            bytes: tile.bytes
+        };
+
+        var metric = this.getColorMetric_();
+
+        // the old mask is kept for the whole drag, even if the combination has removed all pixels
+        if (!tile.sourceMask && !this.oldMask_) {
+            // nothing to subtract from or to intersect with
+            if (mode == MaskOperation.DIFFERENCE || mode == MaskOperation.INTERSECTION) return false;
+            mode = null;
+        }
+
+        if (mode && !this.oldMask_) {
+            // the new mask is combined with the source mask at its resolution (the mask of the view can be restricted by the viewport)
+            this.oldMask_ = this.cloneMask_(tile.sourceMask);
+            // only the union fills the pixels outside the old mask
+            if (mode == MaskOperation.UNION) this.oldMask_.visibleData = tile.mask ? this.getVisibleData_(tile.mask, image, offset) : null;
+        }
+
+        // create a new mask considering the current visible data (the union) or regardless of the old mask
+        var oldMask = mode ? this.oldMask_ : null;
+        var visibleData = oldMask ? oldMask.visibleData || null : null;
+
+        // pixels outside the area of interest are "visited", so the fill never grows outside it
+        var clip = this.getClipData_(image.width, image.height, buffer);
+        if (clip) {
+            if (visibleData) {
+                let barrier = new Uint8Array(visibleData);
+                for (let i = 0; i < barrier.length; i++) barrier[i] |= clip[i];
+                visibleData = barrier;
+            } else {
+                visibleData = clip;
+            }
+        }
+
+        var createMask = () => {
+            var mask = contiguous
+                ? floodFill(image, x, y, threshold, visibleData, this.includeBorders, metric)
+                : selectByColor(image, x, y, threshold, visibleData, metric);
+            if (mask && blurRadius > 0) mask = MagicWandLib.gaussBlurOnlyBorder(mask, blurRadius, visibleData);
+            return mask;
+        };
+
+        var setMask = (mask) => {
+            if (!mask || tile != this.tileMask_) return false;
+
+            if (clip) { // the blur can smooth the border outside the area
+                let data = mask.data;
+                for (let i = 0; i < data.length; i++) {
+                    if (clip[i] === 1) data[i] = 0;
+                }
+            }
+
+            mask.globalOffset = offset;
+            mask.resolution = resolution;
+            mask.projection = projection;
+
+            if (oldMask) {
+                // check a shortest path for combination
+                let distance = (offset.x + mask.width / 2) - MagicWand.getMaskCenterX_(oldMask, resolution);
+                if (Math.abs(distance) > offset.width / 2) {
+                    mask.globalOffset.x = distance > 0 ? offset.x - offset.width : offset.x + offset.width;
+                }
+                mask = MagicWand.combineMasks(oldMask, mask, mode); // old mask [mode] new mask
+                if (!mask) { // all pixels are removed
+                    tile.clearMask();
+                    this.dispatchMaskChange_();
+                    return true;
+                }
+            }
+
+            tile.setMask(mask);
+            this.dispatchMaskChange_();
+
+            return true;
+        };
+
+        if (this.engine_ && this.engine_.isAvailable() && WorkerEngine.getMetricName(metric)) {
+            let request = this.engine_.fill({
+                x: x,
+                y: y,
+                threshold: threshold,
+                visited: visibleData,
+                includeBorders: this.includeBorders,
+                contiguous: contiguous,
+                metric: metric,
+                blurRadius: blurRadius
+            }).then(setMask, (e) => {
+                // the stale request is cancelled, otherwise the worker is failed: use the synchronous fallback
+                return e.name == "AbortError" || tile != this.tileMask_ ? false : setMask(createMask());
+            }).then((res) => {
+                if (this.pendingDraw_ === request) this.pendingDraw_ = null;
+                return res;
+            });
+            this.pendingDraw_ = request;
+            return request;
+        }
+
+        return setMask(createMask());
+    }
+
+    /**
+     * Call the function when the mask is created (immediately or asynchronously in the worker)
+     * @private
+     * @param {boolean|Promise<boolean>} result Result of 'drawMask_'
+     * @param {function(boolean)} callback
+     */
+    whenDrawn_(result, callback) {
+        if (result && typeof result.then === "function") result.then(callback);
+        else callback(result);
+    }
+
+    /**
+     * Get the polygonal geometries of the area of interest
+     * @private
+     * @return {Array<ol/geom/Polygon|ol/geom/MultiPolygon>}
+     */
+    getClipGeometries_() {
+        let items = this.clipItems_;
+        if (items.length == 1 && typeof items[0].getFeatures === "function") items = items[0].getFeatures(); // vector source
+
+        return items
+            .map(c => typeof c.getGeometry === "function" ? c.getGeometry() : c)
+            .filter(g => g && (g.getType() == "Polygon" || g.getType() == "MultiPolygon"));
+    }
+
+    /**
+     * Split the area of interest into the parts. The extents are converted to polygons here,
+     * so the rasterized area is cached by the same geometries (see 'getClipData_')
+     * @private
+     * @param {ClipLike} clip
+     * @return {Array<ol/source/Vector|ol/Feature|ol/geom/Geometry>}
+     */
+    static getClipItems_(clip) {
+        if (!clip) return [];
+        if (!Array.isArray(clip) || typeof clip[0] === "number") clip = [clip];
+        return clip.map(c => Array.isArray(c) ? polygonFromExtent(c) : c);
+    }
+
+    /**
+     * Rasterize the area of interest to the snapshot basis (the copies in the neighboring worlds are included)
+     * @private
+     * @param {number} width Snapshot width
+     * @param {number} height Snapshot height
+     * @param {number} buffer Snapshot margin around the viewport
+     * @return {Uint8Array} Barrier: 1 - outside the area (null if there is no area)
+     */
+    getClipData_(width, height, buffer) {
+        var geometries = this.getClipGeometries_();
+        if (geometries.length == 0) return null;
+
+        var snapshot = this.tileMask_.snapshot,
+            key = geometries.map(g => getUid(g) + ":" + g.getRevision()).join(),
+            cache = this.clipCache_;
+        if (cache && cache.snapshot === snapshot && cache.key === key) return cache.data;
+
+        var i, k,
+            map = this.getMap(),
+            projection = map.getView().getProjection(),
+            polygons = [];
+
+        geometries.forEach(g => {
+            let ps = g.getType() == "Polygon" ? [g.getCoordinates()] : g.getCoordinates();
+            ps.forEach(p => polygons.push(p.map(r => r.map(c => map.getPixelFromCoordinate(c)))));
+        });
+
+        var canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        var ctx = canvas.getContext("2d");
+
+        // shift of the world copies in pixels
+        var n = 0, sx = 0, sy = 0;
+        if (projection.canWrapX()) {
+            let extent = projection.getExtent(),
+                p0 = map.getPixelFromCoordinate([extent[0], extent[3]]),
+                p1 = map.getPixelFromCoordinate([extent[2], extent[3]]);
+            sx = p1[0] - p0[0];
+            sy = p1[1] - p0[1];
+            n = Math.ceil((width + height) / Math.sqrt(sx * sx + sy * sy)) + 1;
+        }
+        for (k = -n; k <= n; k++) {
+            MagicWand.fillPolygons_(ctx, polygons, buffer + k * sx, buffer + k * sy);
+        }
+
+        var image = ctx.getImageData(0, 0, width, height).data,
+            len = width * height,
+            data = new Uint8Array(len);
+        for (i = 0; i < len; i++) {
+            if (image[i * 4 + 3] < 128) data[i] = 1;
+        }
+
+        this.clipCache_ = { snapshot: snapshot, key: key, data: data };
+        return data;
+    }
+
+    //#endregion
+
+    //#region Public
+
+    /**
+     * Set map layers to create snapshot and to draw a mask
+     * @param {ol/layer/Layer|Array<ol/layer/Layer>} layers Layer(s) for scanning
+     * @return {boolean}
+     */
+    setLayers(layers) {
+        if (!layers) return false;
+
+        this.layers = layers;
+
+        return !this.tileMask_ ? false : this.tileMask_.setLayers(layers);
+    }
+
+    /**
+     * Create a selection at the specified map coordinate (the same as the pointer selection)
+     * @param {ol/coordinate/Coordinate} coordinate Seed coordinate in the view projection
+     * @param {SelectOptions} [options] Select options
+     * @return {Promise<Mask>} Resolved with the result mask (null if the selection is empty)
+     */
+    selectAt(coordinate, options = {}) {
+        let map = this.getMap();
+        if (!map) return Promise.reject(new Error("The wand is not added to the map"));
+
+        return this.selectAtPixel(map.getPixelFromCoordinate(coordinate), options);
+    }
+
+    /**
+     * Create a selection at the specified pixel (the same as the pointer selection)
+     * @param {ol/pixel/Pixel} pixel Seed pixel in the viewport (or in the snapshot buffer around it)
+     * @param {SelectOptions} [options] Select options
+     * @return {Promise<Mask>} Resolved with the result mask (null if the selection is empty)
+     */
+    selectAtPixel(pixel, options = {}) {
+        if (!this.getMap() || !this.tileMask_) return Promise.reject(new Error("The wand is not active"));
+
+        let tile = this.tileMask_;
+        let select = () => tile.ready().then(() => {
+            if (tile != this.tileMask_) throw new Error("The wand is not active");
+            if (this.allowDraw_ || this.pendingDraw_) throw new Error("The selection is in progress");
+
+            let ms = this.getMap().getSize();
+            if (tile.size.w != ms[0] || tile.size.h != ms[1]) { // snapshot is outdated
+                tile.scan();
+                return select();
+            }
+
+            let x = Math.round(pixel[0]),
+                y = Math.round(pixel[1]);
+            let b = tile.buffer;
+            if (x < -b || y < -b || x >= tile.size.w + b || y >= tile.size.h + b) throw new Error("The pixel is outside the snapshot");
+
+            let threshold = options.threshold == null ? this.colorThreshold : options.threshold,
+                blurRadius = options.blurRadius == null ? this.blurRadius : options.blurRadius,
+                contiguous = options.contiguous == null ? this.contiguous : options.contiguous;
+
+            this.downPoint_ = { x: x, y: y };
+            this.currentThreshold_ = threshold;
+            this.mode_ = options.mode || null;
+            this.oldMask_ = null;
+            this.dispatchSelectEvent_(MagicWandEventType.SELECTSTART);
+
+            let mode = this.mode_,
+                point = this.downPoint_;
+            let drawn = this.drawMask_(x, y, threshold, mode, blurRadius, contiguous);
+
+            // reset all
+            this.currentThreshold_ = this.colorThreshold;
+            this.oldMask_ = null;
+            this.mode_ = null;
+
+            return Promise.resolve(drawn).then((drawn) => {
+                if (tile != this.tileMask_) throw new Error("The wand is not active");
+                if (drawn) this.addToHistory_();
+                this.dispatchSelectEvent_(MagicWandEventType.SELECTEND, mode, threshold, point);
+                return tile.sourceMask;
+            });
+        });
+
+        return select();
+    }
+
+    /**
+     * Change the style of the mask rendering (the specified properties are replaced)
+     * @param {MaskStyle} style
+     */
+    setStyle(style) {
+        this.style_ = Object.assign({}, this.style_, style);
+        if (this.tileMask_) this.tileMask_.setStyle(this.style_);
+    }
+
+    /**
+     * @return {MaskStyle} Style of the mask rendering
+     */
+    getStyle() {
+        return Object.assign({}, this.style_);
+    }
+
+    /**
+     * Layer which shows the mask above all layers of the map (it's added and removed by the wand)
+     * @return {ol/layer/Layer} null if the wand is not active
+     */
+    getMaskLayer() {
+        return this.tileMask_ ? this.tileMask_.getLayer() : null;
+    }
+
+    /**
+     * Set the combination mode used when no mode condition is met (e.g. by on-screen buttons on touch devices)
+     * @param {MaskOperation} mode Operation or null (replace the mask)
+     */
+    setMode(mode) {
+        this.defaultMode_ = mode || null;
+
+        let map = this.getMap();
+        if (map && this.getActive()) this.updateModeClass_(map.getTargetElement());
+    }
+
+    /**
+     * Get the combination mode used when no mode condition is met
+     * @return {MaskOperation} Operation or null (replace the mask)
+     */
+    getMode() {
+        return this.defaultMode_;
+    }
+
+    /**
+     * Paint or erase the mask with the brush instead of the selection (the selection condition starts a stroke,
+     * the subtract condition switches the painting brush to the erasing). Each stroke is one entry of the history
+     * @param {BrushMode} brush Brush mode or null (the selection)
+     */
+    setBrush(brush) {
+        this.brush_ = brush || null;
+
+        let map = this.getMap();
+        if (map && this.getActive()) this.updateModeClass_(map.getTargetElement());
+    }
+
+    /**
+     * Set the area of interest: the selections never grow outside it (the pixels outside are a barrier for the fill).
+     * The features of the vector source are taken at each selection, so the area can be drawn with 'ol/interaction/Draw'
+     * @param {ClipLike} clip Area in the view projection or null (no area)
+     */
+    setClip(clip) {
+        this.clip_ = clip || null;
+        this.clipItems_ = MagicWand.getClipItems_(this.clip_);
+        this.clipCache_ = null;
+    }
+
+    /**
+     * Get the area of interest
+     * @return {ClipLike} Area or null
+     */
+    getClip() {
+        return this.clip_;
+    }
+
+    /**
+     * Get the current brush mode
+     * @return {BrushMode} Brush mode or null (the selection)
+     */
+    getBrush() {
+        return this.brush_;
+    }
+
+    /**
+     * Return contours of binary mask
+     * @param {number} [simplifyTolerant=1] Tool parameter: Simplify tolerant (see method 'simplifyContours' in 'magic-wand-tool')
+     * @param {number} [simplifyCount=30] Tool parameter: Simplify count (see method 'simplifyContours' in 'magic-wand-tool')
+     * @param {VectorizeOptions} [options] Post-processing of the contours: smoothing, regularization, min spacing
+     * @return {Array<Contour>} Contours in the viewport basis
+     */
+    getContours(simplifyTolerant = 1, simplifyCount = 30, options = {}) {
+        if (!this.tileMask_.mask) return null;
+
+        var offset = MagicWand.getMainWorldOffset(this.getMap()), // viewport offset in the main world
+            mask = this.tileMask_.mask,
+            contours = MagicWandLib.traceContours(mask);
+
+        if (simplifyTolerant > 0) contours = MagicWandLib.simplifyContours(contours, simplifyTolerant, simplifyCount);
+
+        return this.toViewportContours_(this.processContours_(contours, options), mask, offset);
+    }
+
+    /**
+     * Return contours of binary mask (traced in the worker if it's available)
+     * @param {number} [simplifyTolerant=1] Tool parameter: Simplify tolerant (see method 'simplifyContours' in 'magic-wand-tool')
+     * @param {number} [simplifyCount=30] Tool parameter: Simplify count (see method 'simplifyContours' in 'magic-wand-tool')
+     * @param {VectorizeOptions} [options] Post-processing of the contours (on the main thread)
+     * @return {Promise<Array<Contour>>} Contours in the viewport basis
+     */
+    getContoursAsync(simplifyTolerant = 1, simplifyCount = 30, options = {}) {
+        if (!this.tileMask_ || !this.tileMask_.mask) return Promise.resolve(null);
+        if (!this.engine_ || !this.engine_.isAvailable()) return Promise.resolve(this.getContours(simplifyTolerant, simplifyCount, options));
+
+        let offset = MagicWand.getMainWorldOffset(this.getMap()),
+            mask = this.tileMask_.mask;
+
+        return this.engine_.traceContours(mask, simplifyTolerant, simplifyCount)
+            .then((contours) => this.toViewportContours_(this.processContours_(contours, options), mask, offset));
+    }
+
+    /**
+     * Apply the post-processing options to the contours in the mask basis
+     * @private
+     * @param {Array<Contour>} contours
+     * @param {VectorizeOptions} options
+     * @param {number} [resolution] Resolution of the mask (by default - the current view resolution)
+     * @return {Array<Contour>}
+     */
+    processContours_(contours, options, resolution = this.getMap().getView().getResolution()) {
+        if (!options.smoothing && !options.regularize && !options.minSpacing) return contours;
+
+        return processContours(contours, {
+            smoothing: options.smoothing,
+            smoothingIterations: options.smoothingIterations,
+            regularize: options.regularize,
+            minSpacing: options.minSpacing ? options.minSpacing / resolution : 0 // to pixels
+        });
+    }
+
+    /**
+     * Transform contours from the mask basis to the viewport basis
+     * @private
+     * @param {Array<Contour>} contours Contours in the mask basis
+     * @param {Mask} mask
+     * @param {PixelOffset} offset Viewport offset in the main world
+     * @return {Array<Contour>} Contours in the viewport basis
+     */
+    toViewportContours_(contours, mask, offset) {
+        var dx = mask.globalOffset.x - Math.round(offset.x),
+            dy = mask.globalOffset.y - Math.round(offset.y);
+
+        return contours.map(c => {
+            c.initialCount = c.initialCount || c.points.length;
+            c.points.forEach(p => {
+                p.x += dx;
+                p.y += dy;
+            });
+            return c;
+        });
+    }
+
+    /**
+     * Size of the mask pixel in the pixels of the view
+     * @private
+     * @param {Mask} mask
+     * @return {number}
+     */
+    getMaskScale_(mask) {
+        return mask.resolution ? mask.resolution / this.getMap().getView().getResolution() : 1;
+    }
+
+    /**
+     * Return the current mask as a georeferenced geometry
+     * @param {VectorizeOptions} [options] Vectorize options
+     * @return {ol/geom/Polygon|ol/geom/MultiPolygon} Geometry in the view projection
+     */
+    getGeometry(options = {}) {
+        let polygons = this.getPolygons_(options);
+        if (!polygons || polygons.length == 0) return null;
+
+        return polygons.length == 1 ? new Polygon(polygons[0]) : new MultiPolygon(polygons);
+    }
+
+    /**
+     * Return the current mask as georeferenced features (one feature per outer contour)
+     * @param {VectorizeOptions} [options] Vectorize options
+     * @return {Array<ol/Feature>} Features with polygons in the view projection
+     */
+    getFeatures(options = {}) {
+        let polygons = this.getPolygons_(options);
+        if (!polygons) return null;
+
+        return polygons.map(p => new Feature(new Polygon(p)));
+    }
+
+    /**
+     * Vectorize the current mask and write it with the format
+     * @param {string|ol/format/Feature} format Format instance (e.g. 'new GeoJSON()') or name: "geojson", "wkt", "kml", "gpx"
+     * @param {ExportSelectionOptions} [options]
+     * @return {string} Written selection (null if there is no mask)
+     */
+    exportSelection(format, options = {}) {
+        if (typeof format === "string") {
+            let Format = { geojson: GeoJSON, wkt: WKT, kml: KML, gpx: GPX }[format.toLowerCase()];
+            if (!Format) throw new Error(`Unknown format: ${format}`);
+            format = new Format();
+        }
+
+        let features = this.getFeatures(options);
+        if (!features || features.length == 0) return null;
+
+        let writeOptions = {
+            featureProjection: this.getMap().getView().getProjection() // the polygons are vectorized in the view projection
+        };
+        if (options.dataProjection) writeOptions.dataProjection = options.dataProjection;
+        if (options.decimals != null) writeOptions.decimals = options.decimals;
+
+        if (format instanceof WKT) { // one geometry instead of the geometry collection
+            return format.writeGeometry(this.getGeometry(options), writeOptions);
+        }
+
+        if (format instanceof GPX) { // GPX has no polygons: rings are written as track segments
+            features = features.map(f => new Feature(new MultiLineString(f.getGeometry().getCoordinates())));
+        }
+
+        if (options.properties) {
+            let props = {},
+                sel = this.lastSelection_;
+            if (sel) {
+                props.threshold = sel.threshold;
+                if (sel.color) props.seedColor = this.dataReader_ ? sel.color : colorToString([sel.color[0], sel.color[1], sel.color[2], sel.color[3] / 255]);
+            }
+            props.timestamp = (sel ? sel.time : new Date()).toISOString();
+            if (typeof options.properties === "object") Object.assign(props, options.properties);
+            features.forEach(f => f.setProperties(props));
+        }
+
+        return format.writeFeatures(features, writeOptions);
+    }
 
     /**
-     * @protected
-     * @param {ol/Map} map
+     * Vectorize the current mask into the target source. The features get the properties of the merged features
+     * and the properties of the last selection: 'seedCoordinate', 'threshold', 'layers' (names of the scanned layers)
+     * and 'area' (geodesic, in square meters). The mask is cleared after the commit (the undo restores it)
+     * @param {CommitOptions} [options]
+     * @return {Array<ol/Feature>} Committed features (null if there is no target, no mask or the selection is not finished)
      */
-    createMask(map) {
-        let div = map.getTargetElement();
-        this.tileMask_ = new TileMask({ map: map, layers: this.layers, hatchTimeout: this.hatchTimeout, hatchLength: this.hatchLength });
-        if (this.waitClass) {
-            this.tileMask_.on("scanStarted", () => div.classList.add(this.waitClass));
-            this.tileMask_.on("scanFinished", () => div.classList.remove(this.waitClass));
+    commit(options = {}) {
+        if (!this.target || !this.tileMask_ || !this.tileMask_.sourceMask || this.allowDraw_ || this.pendingDraw_) return null;
+
+        let mask = this.tileMask_.sourceMask,
+            merged = [];
+        if (options.merge == null ? this.merge : options.merge) {
+            let res = this.mergeWithTarget_(mask);
+            mask = res.mask;
+            merged = res.features;
         }
+
+        let polygons = this.getPolygons_(options, mask);
+        if (!polygons || polygons.length == 0) return null;
+
+        let map = this.getMap(),
+            projection = map.getView().getProjection(),
+            sel = this.lastSelection_,
+            layers = Array.isArray(this.layers) ? this.layers : [this.layers],
+            props = {
+                seedCoordinate: sel ? sel.coordinate : null,
+                threshold: sel ? sel.threshold : null,
+                layers: layers.map(l => l.get("name") || l.get("title") || null)
+            };
+        if (options.properties) Object.assign(props, options.properties);
+
+        let features = polygons.map(p => {
+            let f = new Feature(new Polygon(p));
+            // the merged features inside the polygon keep their properties
+            merged.forEach(m => {
+                if (!f.getGeometry().intersectsCoordinate(MagicWand.getInteriorCoordinate_(m.getGeometry()))) return;
+                let mp = m.getProperties();
+                delete mp[m.getGeometryName()];
+                f.setProperties(mp);
+            });
+            f.setProperties(props);
+            f.set("area", getArea(f.getGeometry(), { projection: projection }));
+            return f;
+        });
+
+        merged.forEach(f => this.target.removeFeature(f));
+        this.target.addFeatures(features);
+        this.tileMask_.clearMask();
+        this.addToHistory_(); // the committed mask can be restored by the undo
+        this.dispatchMaskChange_();
+
+        this.dispatchEvent(new MagicWandEvent(MagicWandEventType.COMMIT, { features: features, merged: merged }));
+        return features;
     }
 
     /**
-     * Concatenate mask and old mask
+     * Combine the mask with the polygons of the target source which overlap or touch it
      * @private
-     * @param {Mask} mask
-     * @param {Mask} old
-     * @return {Mask} concatenated mask
-     */
-    concatMask_(mask, old) {
-        var data1 = old.data,
-            data2 = mask.data,
-            w1 = old.width,
-            w2 = mask.width,
-            px1 = old.globalOffset.x,
-            py1 = old.globalOffset.y,
-            px2 = mask.globalOffset.x,
-            py2 = mask.globalOffset.y,
-            b1 = old.bounds,
-            b2 = mask.bounds,
-            px = Math.min(b1.minX + px1, b2.minX + px2), // global offset for new mask (by min in bounds)
-            py = Math.min(b1.minY + py1, b2.minY + py2),
-            b = { // bounds for new mask include all of the pixels [0,0,width,height] (reduce to bounds)
-                minX: 0,
-                minY: 0,
-                maxX: Math.max(b1.maxX + px1, b2.maxX + px2) - px,
-                maxY: Math.max(b1.maxY + py1, b2.maxY + py2) - py
-            },
-            w = b.maxX + 1, // size for new mask
-            h = b.maxY + 1,
-            i, j, k, k1, k2, len;
+     * @param {Mask} mask Mask at any resolution (the features are rasterized at the same resolution)
+     * @return {Object} {Mask} mask - combined mask, {Array<ol/Feature>} features - merged features
+     */
+    mergeWithTarget_(mask) {
+        var map = this.getMap(),
+            scale = this.getMaskScale_(mask),
+            offset = MagicWand.getMainWorldOffset(map),
+            dx = Math.round(offset.x), // viewport offset in the main world basis
+            dy = Math.round(offset.y),
+            b = mask.bounds,
+            g = mask.globalOffset,
+            clip = { minX: g.x + b.minX - 2, minY: g.y + b.minY - 2, maxX: g.x + b.maxX + 2, maxY: g.y + b.maxY + 2 }, // the dilated mask with the margin
+            topLeft = map.getCoordinateFromPixel([(mask.globalOffset.x + b.minX) * scale - dx, (mask.globalOffset.y + b.minY) * scale - dy]),
+            bottomRight = map.getCoordinateFromPixel([(mask.globalOffset.x + b.maxX + 1) * scale - dx, (mask.globalOffset.y + b.maxY + 1) * scale - dy]),
+            extent = bufferExtent(boundingExtent([topLeft, bottomRight]), mask.resolution || map.getView().getResolution()),
+            around = MagicWand.dilateMask(mask, 1), // touching polygons are merged too
+            features = [],
+            result = mask;
+
+        this.target.getFeaturesInExtent(extent).forEach((f) => {
+            // the overlap is checked only around the mask
+            let geometry = f.getGeometry(),
+                m = this.rasterizeGeometry_(geometry, dx, dy, scale, clip);
+            if (!m) return;
+            m.resolution = mask.resolution;
+            m.projection = mask.projection;
+            if (!MagicWand.combineMasks(m, around, MaskOperation.INTERSECTION)) return;
+            // the merged polygon is rasterized entirely
+            if (!containsExtent(extent, geometry.getExtent())) {
+                m = this.rasterizeGeometry_(geometry, dx, dy, scale);
+                m.resolution = mask.resolution;
+                m.projection = mask.projection;
+            }
+            result = MagicWand.combineMasks(result, m, MaskOperation.UNION);
+            features.push(f);
+        });
 
-        var result = new Uint8Array(w * h);
+        return { mask: result, features: features };
+    }
 
-        // copy all old mask
-        len = b1.maxX - b1.minX + 1;
-        i = (py1 - py + b1.minY) * w + (px1 - px + b1.minX);
-        k1 = b1.minY * w1 + b1.minX;
-        k2 = b1.maxY * w1 + b1.minX + 1;
-        // walk through rows (Y)
-        for (k = k1; k < k2; k += w1) {
-            result.set(data1.subarray(k, k + len), i); // copy row
-            i += w;
+    /**
+     * Rasterize the polygonal geometry to the mask (a pixel is filled if its center is inside)
+     * @private
+     * @param {ol/geom/Geometry} geometry Geometry in the view projection
+     * @param {number} dx Viewport offset in the main world basis
+     * @param {number} dy
+     * @param {number} [scale=1] Size of the mask pixel in the pixels of the view
+     * @param {Bounds} [clip] Rasterized area in the main world basis
+     * @return {Mask} Mask in the main world basis (null if the geometry is not polygonal or has no pixels)
+     */
+    rasterizeGeometry_(geometry, dx, dy, scale = 1, clip = null) {
+        var type = geometry ? geometry.getType() : null;
+        if (type != "Polygon" && type != "MultiPolygon") return null;
+
+        var i, px,
+            map = this.getMap(),
+            polygons = type == "Polygon" ? [geometry.getCoordinates()] : geometry.getCoordinates(),
+            minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        // pixels in the main world basis
+        polygons = polygons.map(p => p.map(r => r.map(c => {
+            px = map.getPixelFromCoordinate(c);
+            px = [(px[0] + dx) / scale, (px[1] + dy) / scale];
+            if (px[0] < minX) minX = px[0];
+            if (px[0] > maxX) maxX = px[0];
+            if (px[1] < minY) minY = px[1];
+            if (px[1] > maxY) maxY = px[1];
+            return px;
+        })));
+
+        var x0 = Math.floor(minX),
+            y0 = Math.floor(minY),
+            x1 = Math.ceil(maxX),
+            y1 = Math.ceil(maxY);
+        if (clip) {
+            x0 = Math.max(x0, clip.minX);
+            y0 = Math.max(y0, clip.minY);
+            x1 = Math.min(x1, clip.maxX + 1);
+            y1 = Math.min(y1, clip.maxY + 1);
         }
 
-        // copy new mask (only "black" pixels)
-        len = b2.maxX - b2.minX + 1;
-        i = (py2 - py + b2.minY) * w + (px2 - px + b2.minX);
-        k1 = b2.minY * w2 + b2.minX;
-        k2 = b2.maxY * w2 + b2.minX + 1;
-        // walk through rows (Y)
-        for (k = k1; k < k2; k += w2) {
-            // walk through cols (X)
-            for (j = 0; j < len; j++) {
-                if (data2[k + j] === 1) result[i + j] = 1;
-            }
-            i += w;
+        var w = x1 - x0,
+            h = y1 - y0;
+        if (!(w > 0 && h > 0)) return null;
+
+        var canvas = document.createElement("canvas");
+        canvas.width = w;
+        canvas.height = h;
+        var ctx = canvas.getContext("2d");
+        MagicWand.fillPolygons_(ctx, polygons, -x0, -y0);
+
+        var image = ctx.getImageData(0, 0, w, h).data,
+            len = w * h,
+            data = new Uint8Array(len);
+        for (i = 0; i < len; i++) {
+            if (image[i * 4 + 3] >= 128) data[i] = 1;
         }
 
-        return {
-            data: result,
-            width: w,
-            height: h,
-            bounds: b,
-            globalOffset: {
-                x: px,
-                y: py
+        return MagicWand.cropMask_(data, w, h, { x: x0, y: y0 });
+    }
+
+    /**
+     * Get the coordinate inside the polygonal geometry
+     * @private
+     * @param {ol/geom/Polygon|ol/geom/MultiPolygon} geometry
+     * @return {ol/coordinate/Coordinate}
+     */
+    static getInteriorCoordinate_(geometry) {
+        return geometry.getType() == "Polygon" ? geometry.getInteriorPoint().getCoordinates() : geometry.getInteriorPoints().getCoordinates()[0];
+    }
+
+    /**
+     * Fill the polygons on the canvas (the holes are cut out)
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array<Array<Array<ol/pixel/Pixel>>>} polygons Polygons in pixels
+     * @param {number} dx Offset of the pixels on the canvas
+     * @param {number} dy
+     */
+    static fillPolygons_(ctx, polygons, dx, dy) {
+        var i, j, k, ring;
+        for (i = 0; i < polygons.length; i++) {
+            ctx.beginPath();
+            for (j = 0; j < polygons[i].length; j++) {
+                ring = polygons[i][j];
+                ctx.moveTo(ring[0][0] + dx, ring[0][1] + dy);
+                for (k = 1; k < ring.length; k++) ctx.lineTo(ring[k][0] + dx, ring[k][1] + dy);
+                ctx.closePath();
             }
-        };
+            ctx.fill("evenodd"); // holes
+        }
     }
 
     /**
-     * Create mask for the specified pixel position
+     * Convert contours of the binary mask to polygon coordinates in the view projection.
+     * Each inner contour is assigned to the outer contour containing it (the holes touching the shell or another hole are filled),
+     * exterior rings are counter-clockwise and interior rings are clockwise (right-hand rule).
      * @private
-     * @param {number} x
-     * @param {number} y
-     * @return {boolean}
+     * @param {VectorizeOptions} options
+     * @param {Mask} [mask] Mask at any resolution (by default - the current mask at its own resolution)
+     * @return {Array<Array<Array<ol/coordinate/Coordinate>>>} Coordinates of polygons
      */
-    drawMask_(x, y) {
-        if (!this.tileMask_ || !this.tileMask_.isReady()) return false;
+    getPolygons_(options, mask = this.tileMask_ ? this.tileMask_.sourceMask : null) {
+        if (!mask) return null;
 
-        var size = this.tileMask_.size;
         var map = this.getMap();
-        var ms = map.getSize();
-        var mapSize = { w: ms[0], h: ms[1] };
-        if (size.w != mapSize.w || size.h != mapSize.h) { // if map size is not equal to snapshot size then recreate snapshot
-            this.tileMask_.scan();
-            return false;
-            //if (!this.tileMask_.isReady()) return false;
-            //size = this.tileMask_.size;
+        var offset = MagicWand.getMainWorldOffset(map); // viewport offset in the main world
+
+        var i, j, c, p, ps, len, outer, area, minArea, parent, ring, coords,
+            scale = this.getMaskScale_(mask), // mask pixel size in the viewport pixels
+            gx = mask.globalOffset.x + 0.5, // +0.5 px for the pixel center
+            gy = mask.globalOffset.y + 0.5,
+            ox = Math.round(offset.x),
+            oy = Math.round(offset.y),
+            contours = MagicWandLib.traceContours(mask),
+            outers = contours.filter(c => !c.inner),
+            inners = contours.filter(c => c.inner),
+            parents = {}; // outer contour label by inner contour label
+
+        // find the smallest outer contour containing the hole
+        for (i = 0; i < inners.length; i++) {
+            // inner tracing starts from the "black" point above the hole
+            p = inners[i].points[0];
+            parent = null;
+            minArea = Infinity;
+            for (j = 0; j < outers.length; j++) {
+                outer = outers[j];
+                if (!MagicWand.contourContainsPoint_(outer.points, p.x, p.y + 1)) continue;
+                area = Math.abs(MagicWand.contourArea_(outer.points));
+                if (area < minArea) {
+                    minArea = area;
+                    parent = outer.label;
+                }
+            }
+            if (parent != null) parents[inners[i].label] = parent;
         }
 
-        var tile = this.tileMask_;
+        // the rings go through the pixel centers: the hole separated from the shell or from another hole by the 1 px wide part
+        // has the same points and the rings would overlap, so such holes are filled
+        var ringPixels = {}, // pixel indices of the rings by outer contour label
+            index = (pt) => pt.y * mask.width + pt.x;
+        for (i = 0; i < outers.length; i++) {
+            ringPixels[outers[i].label] = new Set(outers[i].points.map(index));
+        }
+        for (i = 0; i < inners.length; i++) {
+            parent = parents[inners[i].label];
+            if (parent == null) continue;
+            ps = ringPixels[parent];
+            if (inners[i].points.some(pt => ps.has(index(pt)))) {
+                delete parents[inners[i].label];
+                continue;
+            }
+            inners[i].points.forEach(pt => ps.add(index(pt)));
+        }
 
-        var offset = MagicWand.getMainWorldOffset(map); // snapshot (viewport) offset in the main world
+        var resolution = mask.resolution || map.getView().getResolution();
+        var tolerant = options.tolerance != null ? options.tolerance / resolution : options.simplifyTolerant;
+        if (tolerant == null) tolerant = 1;
+        if (tolerant > 0) contours = MagicWandLib.simplifyContours(contours, tolerant, options.simplifyCount == null ? 30 : options.simplifyCount);
+        contours = this.processContours_(contours, options, resolution);
 
-        var image = {
-            data: this.tileMask_.snapshot,
-            width: size.w,
-            height: size.h,
-            bytes: this.tileMask_.bytes
-        };
+        var rings = {}; // ring coordinates by contour label
+        for (i = 0; i < contours.length; i++) {
+            c = contours[i];
+            ps = c.points;
+            len = ps.length;
+            if (len < 4) continue; // degenerate ring
 
-        var mask = null;
-
-        if (this.allowAdd_ && this.addMode_ && tile.mask) {
-            if (!this.oldMask_) {
-                var img = tile.mask;
-                var bounds = img.bounds;
-                // clone mask
-                this.oldMask_ = {
-                    data: new Uint8Array(img.data),
-                    width: img.width,
-                    height: img.height,
-                    bounds: {
-                        minX: bounds.minX,
-                        maxX: bounds.maxX,
-                        minY: bounds.minY,
-                        maxY: bounds.maxY
-                    },
-                    globalOffset: {
-                        x: img.globalOffset.x,
-                        y: img.globalOffset.y
-                    }
-                };
-                var oldOffset = this.oldMask_.globalOffset,
-                    offsets = [{ x: oldOffset.x, y: oldOffset.y }]; // add old mask offset (current world)
-
-                let i, j, k, k1, k2, len, off,
-                    x0, y0, x1, y1, dx, dy,
-                    rx0, rx1, ry0, ry1,
-                    w = image.width,
-                    h = image.height,
-                    data = new Uint8Array(w * h),
-                    old = this.oldMask_.data,
-                    w1 = this.oldMask_.width,
-                    b = this.oldMask_.bounds,
-                    ix = image.width - 1, // right bottom of image (left top = [0,0])
-                    iy = image.height - 1,
-                    offsetsLen = offsets.length;
-
-                // copy visible data from old mask for floodfill (considering 'multiWorld' and neighboring worlds)
-                for (j = 0; j < offsetsLen; j++) {
-                    off = offsets[j]; // old mask offset in the global basis
-                    dx = off.x - offset.x; // delta for the transformation to image basis
-                    dy = off.y - offset.y;
-                    x0 = dx + b.minX; // left top of old mask (in image basis)
-                    y0 = dy + b.minY;
-                    x1 = dx + b.maxX; // right bottom of old mask (in image basis)
-                    y1 = dy + b.maxY;
-
-                    // intersection of the old mask with the image (viewport)
-                    if (!(x1 < 0 || x0 > ix || y1 < 0 || y0 > iy)) {
-                        rx0 = x0 > 0 ? x0 : 0;  // result of the intersection
-                        ry0 = y0 > 0 ? y0 : 0;
-                        rx1 = x1 < ix ? x1 : ix;
-                        ry1 = y1 < iy ? y1 : iy;
-                    } else {
-                        continue;
-                    }
-                    // copy result of the intersection to mask data for floodfill
-                    len = rx1 - rx0 + 1;
-                    i = ry0 * w + rx0;
-                    k1 = (ry0 - dy) * w1 + (rx0 - dx);
-                    k2 = (ry1 - dy) * w1 + (rx0 - dx) + 1;
-                    // walk through rows (Y)
-                    for (k = k1; k < k2; k += w1) {
-                        data.set(old.subarray(k, k + len), i); // copy row
-                        i += w;
-                    }
-                }
-                this.oldMask_.visibleData = data;
+            ring = new Array(len);
+            for (j = 0; j < len; j++) {
+                ring[j] = map.getCoordinateFromPixel([(ps[j].x + gx) * scale - ox, (ps[j].y + gy) * scale - oy]);
             }
+            // orientation is checked in the map basis (Y axis is opposite to the pixel Y axis)
+            area = MagicWand.contourArea_(ring.map(xy => ({ x: xy[0], y: xy[1] })));
+            if (area == 0) continue;
+            if ((area > 0) == c.inner) ring.reverse();
 
-            // create a new mask considering the current visible data
-            mask = MagicWandLib.floodFill(image, x, y, this.currentThreshold_, this.oldMask_.visibleData, this.includeBorders);
-            if (!mask) return false;
-            // blur a new mask considering the current visible data
-            if (this.blurRadius > 0) mask = MagicWandLib.gaussBlurOnlyBorder(mask, this.blurRadius, this.oldMask_.visibleData);
+            rings[c.label] = ring;
+        }
 
-            mask.globalOffset = offset;
+        var polygons = [],
+            byLabel = {};
+        for (i = 0; i < outers.length; i++) {
+            ring = rings[outers[i].label];
+            if (!ring) continue;
+            coords = [ring];
+            byLabel[outers[i].label] = coords;
+            polygons.push(coords);
+        }
+        for (i = 0; i < inners.length; i++) {
+            ring = rings[inners[i].label];
+            coords = byLabel[parents[inners[i].label]];
+            if (ring && coords) coords.push(ring);
+        }
 
-            // check a shortest path for concatenation
-            let distance = (offset.x + mask.width / 2) - (this.oldMask_.globalOffset.x + this.oldMask_.width / 2);
-            if (Math.abs(distance) > offset.width / 2) {
-                mask.globalOffset.x = distance > 0 ? offset.x - offset.width : offset.x + offset.width;
+        return polygons;
+    }
+
+    /**
+     * Check whether the point is inside the closed contour (ray casting)
+     * @private
+     * @param {Array<Point>} points Vertices of the contour
+     * @param {number} x
+     * @param {number} y
+     * @return {boolean}
+     */
+    static contourContainsPoint_(points, x, y) {
+        var i, j, pi, pj,
+            inside = false,
+            len = points.length;
+        for (i = 0, j = len - 1; i < len; j = i++) {
+            pi = points[i];
+            pj = points[j];
+            if ((pi.y > y) != (pj.y > y) && x < (pj.x - pi.x) * (y - pi.y) / (pj.y - pi.y) + pi.x) {
+                inside = !inside;
             }
-            mask = this.concatMask_(mask, this.oldMask_); // old mask + new mask
-        } else {
-            mask = MagicWandLib.floodFill(image, x, y, this.currentThreshold_, null, this.includeBorders);
-            if (this.blurRadius > 0) mask = MagicWandLib.gaussBlurOnlyBorder(mask, this.blurRadius);
-            mask.globalOffset = offset;
         }
+        return inside;
+    }
 
-        tile.setMask(mask);
-
-        return true;
+    /**
+     * Signed area of the closed contour (shoelace formula)
+     * @private
+     * @param {Array<Point>} points Vertices of the contour
+     * @return {number} Positive for the counter-clockwise contour in the Y-up basis
+     */
+    static contourArea_(points) {
+        var i, j,
+            sum = 0,
+            len = points.length;
+        for (i = 0, j = len - 1; i < len; j = i++) {
+            sum += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+        }
+        return sum / 2;
     }
 
-    //#endregion
+    /**
+     * Grow the current mask (morphological dilation by the disk)
+     * @param {number} distance Radius of the disk
+     * @param {string} [units="pixels"] Units of the distance: "pixels" (at the mask resolution) or "map" (view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
+     */
+    dilate(distance, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.dilateMask(mask, this.toMaskPixels_(mask, distance, units)));
+    }
 
-    //#region Public
+    /**
+     * Shrink the current mask (morphological erosion by the disk)
+     * @param {number} distance Radius of the disk
+     * @param {string} [units="pixels"] Units of the distance: "pixels" (at the mask resolution) or "map" (view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
+     */
+    erode(distance, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.erodeMask(mask, this.toMaskPixels_(mask, distance, units)));
+    }
 
     /**
-     * Set map layers to create snapshot and to draw a mask
-     * @param {ol/layer/Layer|Array<ol/layer/Layer>} layers Layer(s) for scanning
-     * @return {boolean}
+     * Remove the thin parts of the current mask (morphological opening)
+     * @param {number} distance Radius of the disk
+     * @param {string} [units="pixels"] Units of the distance: "pixels" (at the mask resolution) or "map" (view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
      */
-    setLayers(layers) {
-        if (!layers) return false;
+    open(distance, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.openMask(mask, this.toMaskPixels_(mask, distance, units)));
+    }
 
-        this.layers = layers;
+    /**
+     * Close the small gaps of the current mask (morphological closing)
+     * @param {number} distance Radius of the disk
+     * @param {string} [units="pixels"] Units of the distance: "pixels" (at the mask resolution) or "map" (view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
+     */
+    close(distance, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.closeMask(mask, this.toMaskPixels_(mask, distance, units)));
+    }
 
-        return !this.tileMask_ ? false : this.tileMask_.setLayers(layers);
+    /**
+     * Fill the holes of the current mask
+     * @param {number} [maxArea] Only holes smaller than the area are filled (all holes if not specified)
+     * @param {string} [units="pixels"] Units of the area: "pixels" (at the mask resolution) or "map" (square view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
+     */
+    fillHoles(maxArea, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.fillMaskHoles(mask, maxArea == null ? Infinity : this.toMaskPixels_(mask, maxArea, units, 2)));
     }
 
     /**
-     * Return contours of binary mask
-     * @param {number} [simplifyTolerant=1] Tool parameter: Simplify tolerant (see method 'simplifyContours' in 'magic-wand-tool')
-     * @param {number} [simplifyCount=30] Tool parameter: Simplify count (see method 'simplifyContours' in 'magic-wand-tool')
-     * @return {Array<Contour>} Contours in the viewport basis
+     * Remove the islands (connected areas) of the current mask
+     * @param {number} minArea Islands smaller than the area are removed
+     * @param {string} [units="pixels"] Units of the area: "pixels" (at the mask resolution) or "map" (square view projection units)
+     * @return {boolean} False if there is no mask or the selection is in progress
      */
-    getContours(simplifyTolerant = 1, simplifyCount = 30) {
-        if (!this.tileMask_.mask) return null;
+    removeIslands(minArea, units = "pixels") {
+        return this.applyMorphology_((mask) => MagicWand.removeMaskIslands(mask, this.toMaskPixels_(mask, minArea, units, 2)));
+    }
 
-        var offset = MagicWand.getMainWorldOffset(this.getMap()); // viewport offset in the main world
+    /**
+     * Apply the operation to the current mask and add the result to history
+     * @private
+     * @param {function(Mask): Mask} operation Operation on the mask at its resolution (null - empty result)
+     * @return {boolean}
+     */
+    applyMorphology_(operation) {
+        let tile = this.tileMask_;
+        if (!tile || !tile.sourceMask || this.allowDraw_ || this.pendingDraw_) return false;
 
-        var i, j, points, len, plen, c,
-            mask = this.tileMask_.mask,
-            dx = mask.globalOffset.x - Math.round(offset.x),
-            dy = mask.globalOffset.y - Math.round(offset.y),
-            contours = MagicWandLib.traceContours(mask),
-            result = [];
+        let mask = operation(tile.sourceMask);
+        if (mask) tile.setMask(mask);
+        else tile.clearMask();
+        this.addToHistory_();
+        this.dispatchMaskChange_();
 
-        if (simplifyTolerant > 0) contours = MagicWandLib.simplifyContours(contours, simplifyTolerant, simplifyCount);
+        return true;
+    }
 
-        return contours.map(c => {
-            c.initialCount = c.initialCount || c.points.length;
-            c.points.forEach(p => {
-                p.x += dx;
-                p.y += dy;
-            });
-            return c;
-        });
+    /**
+     * Convert the value to pixels of the mask
+     * @private
+     * @param {Mask} mask
+     * @param {number} value Distance or area
+     * @param {string} units "pixels" or "map"
+     * @param {number} [power=1] 1 - distance, 2 - area
+     * @return {number}
+     */
+    toMaskPixels_(mask, value, units, power = 1) {
+        if (units != "map") return value;
+        let resolution = mask.resolution || this.getMap().getView().getResolution();
+        return value / Math.pow(resolution, power);
     }
 
     /**
@@ -1349,7 +4227,7 @@ export default class MagicWand extends PointerInteraction {
      * @return {OffsetMask} Mask data in the viewport basis
      */
     getMask() {
-        if (this.tileMask_) {
+        if (this.tileMask_ && this.tileMask_.mask) {
             let mask = this.tileMask_.mask;
 
             let offset = MagicWand.getMainWorldOffset(this.getMap()); // viewport offset in the main world
@@ -1383,12 +4261,174 @@ export default class MagicWand extends PointerInteraction {
         return null;
     }
 
+    /**
+     * Export the current selection to the JSON-compatible object (e.g. to save it and resume later)
+     * @param {Object} [options]
+     * @param {boolean} [options.history=false] Include the history of the masks
+     * @return {SerializedSelection}
+     */
+    exportMask(options = {}) {
+        let mask = this.tileMask_ ? this.tileMask_.sourceMask : null;
+        let res = {
+            type: "ol-magic-wand/mask",
+            version: 1,
+            mask: mask ? MagicWand.serializeMask(mask) : null
+        };
+        if (options.history && this.history) res.history = this.history.getState();
+        return res;
+    }
+
+    /**
+     * Export the mask (and optionally the snapshot) as the georeferenced raster: PNG with the world file or GeoTIFF.
+     * The pixels of the images are the pixels of the mask at its own resolution,
+     * with the snapshot (or the snapshot area) - the pixels of the snapshot at the current view resolution
+     * @param {RasterExportOptions} [options]
+     * @return {Promise<RasterExport>} null if there is no mask
+     */
+    exportRaster(options = {}) {
+        if (!this.tileMask_ || !this.tileMask_.sourceMask) return Promise.resolve(null);
+
+        let map = this.getMap(),
+            tile = this.tileMask_,
+            mask = tile.sourceMask,
+            offset = MagicWand.getMainWorldOffset(map), // viewport offset in the main world
+            format = options.format || "png",
+            value = options.maskValue == null ? 255 : options.maskValue,
+            area; // exported area in the main world basis
+
+        if (format != "png" && format != "geotiff") return Promise.reject(new Error(`Unknown raster format: ${format}`));
+        if ((options.snapshot || options.area == "snapshot") && !tile.isReady()) return Promise.reject(new Error("The snapshot is not ready"));
+        if (options.snapshot && format == "png" && tile.reader) return Promise.reject(new Error("The raw raster values can be exported only to GeoTIFF"));
+
+        if (options.area == "snapshot") {
+            area = { x: offset.x - tile.buffer, y: offset.y - tile.buffer, w: tile.snapshotSize.w, h: tile.snapshotSize.h };
+            mask = MagicWand.resampleMask(mask, map.getView().getResolution(), { minX: area.x, minY: area.y, maxX: area.x + area.w - 1, maxY: area.y + area.h - 1 });
+        } else {
+            // the snapshot is exported by the pixels of the view
+            if (options.snapshot) mask = MagicWand.resampleMask(mask, map.getView().getResolution());
+            let b = mask.bounds;
+            area = { x: mask.globalOffset.x + b.minX, y: mask.globalOffset.y + b.minY, w: b.maxX - b.minX + 1, h: b.maxY - b.minY + 1 };
+        }
+
+        let scale = mask ? this.getMaskScale_(mask) : 1, // the mask is null if it's outside the snapshot area
+            data = mask ? this.getVisibleData_(mask, { width: area.w, height: area.h }, { x: area.x, y: area.y, width: offset.width / scale }) : new Uint8Array(area.w * area.h);
+
+        // geotransform by the pixels of the viewport
+        let px = area.x * scale - offset.x,
+            py = area.y * scale - offset.y,
+            c0 = map.getCoordinateFromPixel([px, py]),
+            cx = map.getCoordinateFromPixel([px + scale, py]),
+            cy = map.getCoordinateFromPixel([px, py + scale]),
+            a = cx[0] - c0[0], d = cx[1] - c0[1],
+            b = cy[0] - c0[0], e = cy[1] - c0[1],
+            transform = [a, d, b, e, c0[0] + (a + b) / 2, c0[1] + (d + e) / 2],
+            corner = (x, y) => [c0[0] + x * a + y * b, c0[1] + x * d + y * e],
+            projection = map.getView().getProjection();
+
+        let res = {
+            width: area.w,
+            height: area.h,
+            transform: transform,
+            worldFile: transform.join("\n") + "\n",
+            extent: boundingExtent([corner(0, 0), corner(area.w, 0), corner(0, area.h), corner(area.w, area.h)]),
+            projection: projection.getCode()
+        };
+
+        let i, n = area.w * area.h;
+
+        // snapshot of the area (transparent or NaN outside the snapshot)
+        let snapshot = null,
+            bytes = tile.bytes;
+        if (options.snapshot) {
+            let x, y, j, k,
+                sx = area.x - (offset.x - tile.buffer), // area offset in the snapshot basis
+                sy = area.y - (offset.y - tile.buffer),
+                sw = tile.snapshotSize.w,
+                sh = tile.snapshotSize.h,
+                src = tile.snapshot;
+            snapshot = bytes == 4 && !tile.reader ? new Uint8Array(n * 4) : new Float32Array(n * bytes).fill(NaN);
+            for (y = 0; y < area.h; y++) {
+                if (y + sy < 0 || y + sy >= sh) continue;
+                for (x = 0; x < area.w; x++) {
+                    if (x + sx < 0 || x + sx >= sw) continue;
+                    i = (y * area.w + x) * bytes;
+                    k = ((y + sy) * sw + x + sx) * bytes;
+                    for (j = 0; j < bytes; j++) snapshot[i + j] = src[k + j];
+                }
+            }
+        }
+
+        if (format == "geotiff") {
+            let values = new Uint8Array(n);
+            for (i = 0; i < n; i++) if (data[i] === 1) values[i] = value;
+            res.mask = new Blob([encodeGeoTiff({ data: values, width: area.w, height: area.h, transform: transform, projection: projection })], { type: "image/tiff" });
+            if (snapshot) {
+                let rgba = snapshot instanceof Uint8Array;
+                res.snapshot = new Blob([encodeGeoTiff({ data: snapshot, width: area.w, height: area.h, bands: rgba ? 4 : bytes, rgba: rgba, transform: transform, projection: projection })], { type: "image/tiff" });
+            }
+            return Promise.resolve(res);
+        }
+
+        let toPng = (rgba) => new Promise((resolve, reject) => {
+            let canvas = document.createElement("canvas");
+            canvas.width = area.w;
+            canvas.height = area.h;
+            let ctx = canvas.getContext("2d"),
+                imgData = ctx.createImageData(area.w, area.h);
+            imgData.data.set(rgba);
+            ctx.putImageData(imgData, 0, 0);
+            canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error("The image can't be created")), "image/png");
+        });
+
+        let gray = new Uint8Array(n * 4);
+        for (i = 0; i < n; i++) {
+            let v = data[i] === 1 ? value : 0;
+            gray[i * 4] = gray[i * 4 + 1] = gray[i * 4 + 2] = v;
+            gray[i * 4 + 3] = 255;
+        }
+
+        return Promise.all([toPng(gray), snapshot ? toPng(snapshot) : null]).then((blobs) => {
+            res.mask = blobs[0];
+            if (blobs[1]) res.snapshot = blobs[1];
+            return res;
+        });
+    }
+
+    /**
+     * Import the selection exported by 'exportMask': the mask is shown and can be combined with new selections.
+     * The imported history replaces the current one, otherwise the imported mask is added to the history
+     * @param {SerializedSelection|string} selection Object or JSON string
+     * @return {boolean} false if the wand is not active or the mask is created in another projection
+     */
+    importMask(selection) {
+        if (typeof selection === "string") selection = JSON.parse(selection);
+        if (!selection || selection.type != "ol-magic-wand/mask") throw new Error("Invalid selection data");
+
+        let mask = selection.mask ? MagicWand.deserializeMask(selection.mask) : null;
+        if (!this.tileMask_) return false;
+        if (mask && mask.projection && mask.projection != this.getMap().getView().getProjection().getCode()) return false;
+
+        this.finishDraw_();
+
+        if (mask) this.tileMask_.setMask(mask);
+        else this.tileMask_.clearMask();
+
+        if (selection.history && this.history) {
+            this.history.setState(selection.history);
+            this.historyMask_ = this.tileMask_.sourceMask;
+        } else this.addToHistory_();
+
+        this.dispatchMaskChange_();
+        return true;
+    }
+
     /**
      * Clear the current mask and remove it from the map view
      */
     clearMask() {
         if (this.tileMask_) {
             this.tileMask_.clearMask();
+            this.dispatchMaskChange_();
         }
     }
 
@@ -1397,53 +4437,103 @@ export default class MagicWand extends PointerInteraction {
 }
 
 
+/**
+ * @typedef {Object} MaskHistoryOptions
+ * @property {number} [maxDepth=100] Max amount of masks in the history (the oldest masks are removed)
+ * @property {number} [maxMemory=67108864] Max memory of the compressed masks (in bytes, 64 MB by default)
+ */
+
 /**
  * @classdesc
- * History of binary masks
+ * History of binary masks. The masks are stored in the compressed form (run-length encoding), the size of the history
+ * is limited by the amount of masks and by the memory. Properties 'allowUndo' and 'allowRedo' are observable
+ * (e.g. history.on("change:allowUndo", ...)), the 'change' event is fired on any changes
  * @api
  */
 export class MaskHistory extends BaseObject {
 
-    constructor() {
-        super();
+    /**
+     * @param {MaskHistoryOptions} [options]
+     */
+    constructor(options = {}) {
+        super({ allowUndo: false, allowRedo: false });
 
         /**
-         * Array of masks
-         * @type {Array<Mask>}
+         * Compressed masks: {Uint32Array} runs or {Uint8Array} data (if the encoding is not effective), {number} size and the mask properties
+         * @private
+         * @type {Array<Object>}
          */
-        this.masks = [];
+        this.entries_ = [];
 
         /**
          * Current index of history array
          * @type {number}
          */
         this.current = -1;
+
+        /**
+         * @type {number}
+         */
+        this.maxDepth = options.maxDepth == null ? 100 : Math.max(options.maxDepth, 1);
+
+        /**
+         * @type {number}
+         */
+        this.maxMemory = options.maxMemory == null ? 64 * 1024 * 1024 : options.maxMemory;
+
+        /**
+         * Memory of the compressed masks (in bytes)
+         * @private
+         * @type {number}
+         */
+        this.memory_ = 0;
+
+        /**
+         * Decoded mask (the current one is decoded once)
+         * @private
+         * @type {Object}
+         */
+        this.cache_ = null;
     }
 
     /**
      * @inheritDoc
      */
     disposeInternal() {
-        this.masks = null;
+        this.entries_ = null;
+        this.cache_ = null;
         super.disposeInternal();
     }
 
     clear() {
-        this.masks.length = 0;
+        this.entries_.length = 0;
         this.current = -1;
+        this.memory_ = 0;
+        this.cache_ = null;
+        this.update_();
     }
 
     /**
-     * @param {Mask}
+     * @param {Mask} mask Mask or null (empty selection)
      * @return {boolean}
      */
     addMask(mask) {
-        if (!mask) return false;
+        if (mask === undefined) return false;
 
         this.current++;
-        this.masks.length = this.current;
-        this.masks.push(mask);
+        this.entries_.splice(this.current).forEach(e => this.memory_ -= e.size);
+        let entry = MaskHistory.encode_(mask);
+        this.entries_.push(entry);
+        this.memory_ += entry.size;
+        this.cache_ = { entry: entry, mask: mask };
+
+        // remove the oldest masks (the current one is always kept)
+        while (this.current > 0 && (this.entries_.length > this.maxDepth || this.memory_ > this.maxMemory)) {
+            this.memory_ -= this.entries_.shift().size;
+            this.current--;
+        }
 
+        this.update_();
         return true;
     }
 
@@ -1451,7 +4541,70 @@ export class MaskHistory extends BaseObject {
      * @return {Mask}
      */
     getCurrent() {
-        return this.current > -1 ? this.masks[this.current] : null;
+        return this.getMask(this.current);
+    }
+
+    /**
+     * @param {number} index Index of the mask in the history
+     * @return {Mask} Decoded mask (null for the empty selection)
+     */
+    getMask(index) {
+        let entry = this.entries_[index];
+        if (!entry) return null;
+        if (this.cache_ && this.cache_.entry === entry) return this.cache_.mask;
+
+        let mask = MaskHistory.decode_(entry);
+        if (index == this.current) this.cache_ = { entry: entry, mask: mask };
+        return mask;
+    }
+
+    /**
+     * Get the JSON-compatible state of the history
+     * @return {Object} {number} current - index of the current mask, {Array<SerializedMask>} masks (null for the empty selections)
+     */
+    getState() {
+        return {
+            current: this.current,
+            masks: this.entries_.map((entry, i) => {
+                if (!entry.mask) return null;
+                if (entry.data) return MagicWand.serializeMask(this.getMask(i));
+                return Object.assign({}, entry.mask, { runs: Array.from(entry.runs) });
+            })
+        };
+    }
+
+    /**
+     * Restore the state of the history (see 'getState'), the limits of the history are applied
+     * @param {Object} state
+     */
+    setState(state) {
+        if (!state || !Array.isArray(state.masks)) throw new Error("Invalid history data");
+        let masks = state.masks.map(m => m ? MagicWand.deserializeMask(m) : null);
+
+        this.entries_.length = 0;
+        this.current = -1;
+        this.memory_ = 0;
+        this.cache_ = null;
+        masks.forEach(m => this.addMask(m));
+
+        // the oldest masks can be removed by the limits
+        let current = state.current == null ? masks.length - 1 : state.current;
+        this.current = Math.min(Math.max(current - (masks.length - this.entries_.length), 0), this.entries_.length - 1);
+        this.update_();
+    }
+
+    /**
+     * @return {number} Amount of masks in the history
+     */
+    getLength() {
+        return this.entries_.length;
+    }
+
+    /**
+     * @return {number} Memory of the compressed masks (in bytes)
+     */
+    getMemoryUsage() {
+        return this.memory_;
     }
 
     /**
@@ -1465,7 +4618,7 @@ export class MaskHistory extends BaseObject {
      * @return {boolean}
      */
     allowRedo() {
-        return this.current < this.masks.length - 1;
+        return this.current < this.entries_.length - 1;
     }
 
     /**
@@ -1474,6 +4627,7 @@ export class MaskHistory extends BaseObject {
     undo() {
         if (!this.allowUndo()) return null;
         this.current--;
+        this.update_();
         return this.getCurrent();
     }
 
@@ -1483,7 +4637,48 @@ export class MaskHistory extends BaseObject {
     redo() {
         if (!this.allowRedo()) return null;
         this.current++;
+        this.update_();
         return this.getCurrent();
     }
 
+    /**
+     * Update the observable state
+     * @private
+     */
+    update_() {
+        this.setProperties({ allowUndo: this.allowUndo(), allowRedo: this.allowRedo() });
+        this.changed();
+    }
+
+    /**
+     * Compress the mask: lengths of the alternating runs of 0 and 1 (starts with 0)
+     * @private
+     * @param {Mask} mask
+     * @return {Object} Compressed mask
+     */
+    static encode_(mask) {
+        if (!mask) return { mask: null, size: 0 };
+
+        var props = Object.assign({}, mask);
+        delete props.data;
+        delete props.visibleData;
+
+        var runs = MagicWand.encodeRuns_(mask.data, (mask.data.length >> 2) + 1); // the encoding is not effective with more runs
+        if (!runs) return { mask: props, data: mask.data.slice(), size: mask.data.length };
+        return { mask: props, runs: runs, size: runs.byteLength };
+    }
+
+    /**
+     * @private
+     * @param {Object} entry Compressed mask
+     * @return {Mask}
+     */
+    static decode_(entry) {
+        if (!entry.mask) return null;
+
+        var mask = Object.assign({}, entry.mask);
+        mask.data = entry.data ? entry.data.slice() : MagicWand.decodeRuns_(entry.runs, mask.width * mask.height);
+        return mask;
+    }
+
 }
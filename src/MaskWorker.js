@@ -0,0 +1,84 @@
+/**
+ * Worker for the heavy mask operations (see 'WorkerEngine')
+ * @module ol/interaction/MagicWand/MaskWorker
+ */
+
+import MagicWandLib from 'magic-wand-tool';
+import { floodFill, selectByColor, ColorMetric, createHsvMetric, createBandMetric } from './FloodFill';
+
+/**
+ * Current snapshot: {Uint8ClampedArray} data, {int} width, {int} height, {int} bytes
+ * @type {Object}
+ */
+let image = null;
+
+/**
+ * @param {string|Object} name Name of the metric, {hsv: weights} or {bands: indices}
+ * @return {ol/interaction/MagicWand/FloodFill~ColorMetricFunction}
+ */
+function getMetric(name) {
+    if (name && name.hsv) return createHsvMetric(name.hsv);
+    if (name && name.bands) return createBandMetric(name.bands);
+    return ColorMetric[name] || ColorMetric.rgb;
+}
+
+/**
+ * @param {Object} msg Fill request
+ * @param {Array<Transferable>} transfer
+ * @return {Object} mask
+ */
+function fill(msg, transfer) {
+    if (!image || image.id != msg.snapshotId) throw new Error("The snapshot is not found");
+
+    let metric = getMetric(msg.metric);
+    let mask = msg.contiguous
+        ? floodFill(image, msg.x, msg.y, msg.threshold, msg.visited, msg.includeBorders, metric)
+        : selectByColor(image, msg.x, msg.y, msg.threshold, msg.visited, metric);
+    if (!mask) return null;
+    if (msg.blurRadius > 0) mask = MagicWandLib.gaussBlurOnlyBorder(mask, msg.blurRadius, msg.visited);
+
+    transfer.push(mask.data.buffer);
+    return mask;
+}
+
+/**
+ * @param {Object} msg Contours request
+ * @return {Array<Object>} contours
+ */
+function contours(msg) {
+    let mask = { data: msg.data, width: msg.width, height: msg.height, bounds: msg.bounds };
+    let result = MagicWandLib.traceContours(mask);
+    if (msg.simplifyTolerant > 0) result = MagicWandLib.simplifyContours(result, msg.simplifyTolerant, msg.simplifyCount);
+    return result;
+}
+
+self.onmessage = (e) => {
+    let msg = e.data,
+        result = null,
+        transfer = [];
+
+    try {
+        switch (msg.type) {
+            case "snapshot":
+                image = { id: msg.id, data: msg.data, width: msg.width, height: msg.height, bytes: msg.bytes };
+                return;
+            case "fill":
+                result = fill(msg, transfer);
+                break;
+            case "border":
+                result = Int32Array.from(MagicWandLib.getBorderIndices({ data: msg.data, width: msg.width, height: msg.height }));
+                transfer.push(result.buffer);
+                break;
+            case "contours":
+                result = contours(msg);
+                break;
+            default:
+                throw new Error(`Unknown request: ${msg.type}`);
+        }
+    } catch (err) {
+        self.postMessage({ id: msg.id, error: err.message });
+        return;
+    }
+
+    self.postMessage({ id: msg.id, result: result }, transfer);
+};
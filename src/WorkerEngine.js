@@ -0,0 +1,288 @@
+/**
+ * @module ol/interaction/MagicWand/WorkerEngine
+ */
+
+import { ColorMetric } from './FloodFill';
+
+/**
+ * @typedef {Object} FillRequest
+ * @property {number} x X of the start pixel
+ * @property {number} y Y of the start pixel
+ * @property {number} threshold Color threshold
+ * @property {Uint8Array} [visited] Mask of visited points
+ * @property {boolean} includeBorders Indicate whether to include borders pixels
+ * @property {boolean} contiguous Select only the connected area or all similar pixels
+ * @property {string|ol/interaction/MagicWand/FloodFill~ColorMetricFunction} metric Color metric
+ * @property {number} blurRadius Blur radius
+ */
+
+/**
+ * Create the error for a cancelled request
+ * @return {Error}
+ */
+function cancelled() {
+    let error = new Error("The request is cancelled");
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Asynchronous engine for the heavy mask operations: sends the requests to the worker ('MaskWorker.js')
+ * and keeps only the latest request of each kind in the queue (stale requests are cancelled)
+ */
+export class WorkerEngine {
+
+    /**
+     * @param {Worker} worker Worker created from 'MaskWorker.js'
+     */
+    constructor(worker) {
+
+        /**
+         * @private
+         * @type {Worker}
+         */
+        this.worker_ = worker;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this.available_ = true;
+
+        /**
+         * @private
+         * @type {number}
+         */
+        this.lastId_ = 0;
+
+        /**
+         * Identifier of the current snapshot in the worker
+         * @private
+         * @type {number}
+         */
+        this.snapshotId_ = 0;
+
+        /**
+         * Requests sent to the worker by id
+         * @private
+         * @type {Object<number, Object>}
+         */
+        this.requests_ = {};
+
+        /**
+         * Requests waiting for the previous request of the same channel
+         * @private
+         * @type {Object<string, Object>}
+         */
+        this.queue_ = {};
+
+        /**
+         * Channels with the request in progress
+         * @private
+         * @type {Object<string, boolean>}
+         */
+        this.busy_ = {};
+
+        worker.onmessage = (e) => this.onMessage_(e.data);
+        worker.onerror = () => this.onError_();
+    }
+
+    /**
+     * Create the engine (null if the workers are not supported)
+     * @param {function(): Worker} factory Function that creates a worker from 'MaskWorker.js'
+     * @return {WorkerEngine}
+     */
+    static create(factory) {
+        if (typeof Worker === "undefined") return null;
+        try {
+            return new WorkerEngine(factory());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Return the name of the metric which can be passed to the worker (null for custom metrics)
+     * @param {string|ol/interaction/MagicWand/FloodFill~ColorMetricFunction} metric
+     * @return {string|Object} Name, {hsv: weights} or {bands: indices}
+     */
+    static getMetricName(metric) {
+        if (typeof metric === "string") return ColorMetric[metric] ? metric : null;
+        if (metric && metric.hsvWeights) return { hsv: metric.hsvWeights };
+        if (metric && metric.dataBands) return { bands: metric.dataBands };
+        return Object.keys(ColorMetric).find(k => ColorMetric[k] === metric) || null;
+    }
+
+    /**
+     * Indicates whether or not the worker can process the requests
+     * @return {boolean}
+     */
+    isAvailable() {
+        return this.available_;
+    }
+
+    /**
+     * Send a copy of the snapshot to the worker (all fill requests for the previous snapshot are cancelled)
+     * @param {Uint8ClampedArray|Float32Array} data Snapshot data (colors or band values)
+     * @param {number} width
+     * @param {number} height
+     * @param {number} bytes Amount of bytes per pixel
+     */
+    setSnapshot(data, width, height, bytes) {
+        if (!this.available_) return;
+        this.cancel("fill");
+        let copy = data.slice();
+        this.snapshotId_ = ++this.lastId_;
+        this.worker_.postMessage({ id: this.snapshotId_, type: "snapshot", data: copy, width: width, height: height, bytes: bytes }, [copy.buffer]);
+    }
+
+    /**
+     * Create a mask (flood fill or select by color and blur) on the current snapshot
+     * @param {FillRequest} request
+     * @return {Promise<Object>} Mask: {Uint8Array} data, {int} width, {int} height, {Object} bounds (null if the start pixel is visited)
+     */
+    fill(request) {
+        let visited = request.visited ? request.visited.slice() : null;
+        return this.request_("fill", {
+            type: "fill",
+            snapshotId: this.snapshotId_,
+            x: request.x,
+            y: request.y,
+            threshold: request.threshold,
+            visited: visited,
+            includeBorders: request.includeBorders,
+            contiguous: request.contiguous,
+            metric: WorkerEngine.getMetricName(request.metric),
+            blurRadius: request.blurRadius
+        }, visited ? [visited.buffer] : []);
+    }
+
+    /**
+     * Find the border of the binary data
+     * @param {Uint8Array} data Binary data (transferred to the worker)
+     * @param {number} width
+     * @param {number} height
+     * @return {Promise<Array<number>>} Indices of the boundary points
+     */
+    getBorderIndices(data, width, height) {
+        return this.request_("border", { type: "border", data: data, width: width, height: height }, [data.buffer]);
+    }
+
+    /**
+     * Trace the contours of the binary mask
+     * @param {Object} mask Mask: {Uint8Array} data, {int} width, {int} height, {Object} bounds
+     * @param {number} simplifyTolerant Simplify tolerant (no simplification if 0)
+     * @param {number} simplifyCount Simplify count
+     * @return {Promise<Array<Object>>} Contours in the mask basis
+     */
+    traceContours(mask, simplifyTolerant, simplifyCount) {
+        let data = mask.data.slice();
+        return this.request_(null, {
+            type: "contours",
+            data: data,
+            width: mask.width,
+            height: mask.height,
+            bounds: mask.bounds,
+            simplifyTolerant: simplifyTolerant,
+            simplifyCount: simplifyCount
+        }, [data.buffer]);
+    }
+
+    /**
+     * Cancel the requests
+     * @param {string} [channel] Kind of the requests ("fill" or "border"), all requests if not specified
+     */
+    cancel(channel) {
+        Object.keys(this.queue_).forEach(k => {
+            if (channel && k != channel) return;
+            this.queue_[k].reject(cancelled());
+            delete this.queue_[k];
+        });
+        Object.keys(this.requests_).forEach(id => {
+            let req = this.requests_[id];
+            if (channel && req.channel != channel) return;
+            req.cancelled = true; // the result will be ignored
+        });
+    }
+
+    /**
+     * Terminate the worker
+     */
+    dispose() {
+        this.cancel();
+        this.worker_.terminate();
+        this.available_ = false;
+    }
+
+    /**
+     * @private
+     * @param {string} channel Only the latest request of the channel is waiting in the queue (null - no limits)
+     * @param {Object} message
+     * @param {Array<Transferable>} transfer
+     * @return {Promise}
+     */
+    request_(channel, message, transfer) {
+        if (!this.available_) return Promise.reject(new Error("The worker is not available"));
+
+        return new Promise((resolve, reject) => {
+            let req = { channel: channel, message: message, transfer: transfer, resolve: resolve, reject: reject };
+            if (channel && this.busy_[channel]) {
+                if (this.queue_[channel]) this.queue_[channel].reject(cancelled()); // stale request
+                this.queue_[channel] = req;
+                return;
+            }
+            this.send_(req);
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} req
+     */
+    send_(req) {
+        req.message.id = ++this.lastId_;
+        this.requests_[req.message.id] = req;
+        if (req.channel) this.busy_[req.channel] = true;
+        this.worker_.postMessage(req.message, req.transfer);
+    }
+
+    /**
+     * @private
+     * @param {Object} data
+     */
+    onMessage_(data) {
+        let req = this.requests_[data.id];
+        if (!req) return;
+        delete this.requests_[data.id];
+
+        if (req.channel) {
+            this.busy_[req.channel] = false;
+            let next = this.queue_[req.channel];
+            if (next) {
+                delete this.queue_[req.channel];
+                this.send_(next);
+            }
+        }
+
+        if (req.cancelled || (req.channel == "fill" && req.message.snapshotId != this.snapshotId_)) {
+            req.reject(cancelled());
+        } else if (data.error) {
+            req.reject(new Error(data.error));
+        } else {
+            req.resolve(data.result);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onError_() {
+        this.available_ = false; // use the synchronous fallback
+        let error = new Error("The worker is not available");
+        Object.keys(this.queue_).forEach(k => this.queue_[k].reject(error));
+        Object.keys(this.requests_).forEach(id => this.requests_[id].reject(error));
+        this.queue_ = {};
+        this.requests_ = {};
+        this.busy_ = {};
+    }
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { smoothChaikin, smoothBSpline, orthogonalize, fitRectangle, enforceMinSpacing, processContours } from '../src/Contours';
+
+function ring(coords) {
+    return coords.map(([x, y]) => ({ x: x, y: y }));
+}
+
+function area(points) {
+    let a = 0;
+    for (let i = 0; i < points.length - 1; i++) a += points[i].x * points[i + 1].y - points[i + 1].x * points[i].y;
+    return a / 2;
+}
+
+function isClosed(points) {
+    let first = points[0],
+        last = points[points.length - 1];
+    return first.x === last.x && first.y === last.y;
+}
+
+// noisy 20x10 rectangle rotated by 30 degrees
+const a = Math.PI / 6;
+const noisy = ring([[0, 0], [10, 0.4], [20, 0], [20.3, 5], [20, 10], [10, 9.7], [0, 10], [0.2, 5], [0, 0]])
+    .map(p => ({ x: p.x * Math.cos(a) - p.y * Math.sin(a), y: p.x * Math.sin(a) + p.y * Math.cos(a) }));
+
+describe('smoothing', () => {
+    it('doubles the vertices per iteration and keeps the ring closed', () => {
+        let square = ring([[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]);
+        let chaikin = smoothChaikin(square, 2),
+            bspline = smoothBSpline(square, 3);
+        expect(chaikin.length).toBe(4 * 4 + 1);
+        expect(bspline.length).toBe(4 * 8 + 1);
+        expect(isClosed(chaikin) && isClosed(bspline)).toBe(true);
+        expect(Math.abs(area(chaikin))).toBeLessThan(100);
+        expect(Math.abs(area(chaikin))).toBeGreaterThan(70);
+    });
+
+    it('keeps the degenerate rings', () => {
+        let line = ring([[0, 0], [1, 1], [0, 0]]);
+        expect(smoothChaikin(line)).toBe(line);
+        expect(smoothBSpline(line)).toBe(line);
+    });
+});
+
+describe('orthogonalize', () => {
+    it('makes all corners right angles and keeps the area', () => {
+        let res = orthogonalize(noisy);
+        expect(res.length).toBe(5);
+        expect(isClosed(res)).toBe(true);
+        for (let i = 0; i < res.length - 2; i++) {
+            let ux = res[i + 1].x - res[i].x, uy = res[i + 1].y - res[i].y,
+                vx = res[i + 2].x - res[i + 1].x, vy = res[i + 2].y - res[i + 1].y;
+            expect(ux * vx + uy * vy).toBeCloseTo(0, 6);
+        }
+        expect(area(res)).toBeCloseTo(area(noisy), 0);
+    });
+
+    it('keeps the pixel staircase of an L shape', () => {
+        let l = ring([[0, 0], [5, 0], [5, 3], [2, 3], [2, 6], [0, 6], [0, 0]]);
+        let res = orthogonalize(l);
+        expect(res.length).toBe(7);
+        expect(area(res)).toBeCloseTo(area(l), 6);
+    });
+
+    it('returns the source ring if it can not be orthogonalized', () => {
+        let triangle = ring([[0, 0], [10, 0], [5, 1], [0, 0]]);
+        expect(orthogonalize(triangle)).toBe(triangle);
+    });
+});
+
+describe('fitRectangle', () => {
+    it('returns the minimum-area rectangle with the same orientation', () => {
+        let res = fitRectangle(noisy);
+        expect(res.length).toBe(5);
+        expect(Math.abs(area(res))).toBeGreaterThanOrEqual(Math.abs(area(noisy)));
+        expect(Math.abs(area(res))).toBeLessThan(210);
+        expect(Math.sign(area(res))).toBe(Math.sign(area(noisy)));
+        expect(Math.sign(area(fitRectangle(noisy.slice().reverse())))).toBe(-Math.sign(area(noisy)));
+    });
+});
+
+describe('enforceMinSpacing', () => {
+    it('removes the close vertices including the closing edge', () => {
+        let res = enforceMinSpacing(ring([[0, 0], [0.5, 0], [10, 0], [10, 10], [0, 10], [0, 0.5], [0, 0]]), 1);
+        expect(res).toEqual(ring([[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]));
+    });
+
+    it('keeps the ring if less than 3 vertices remain', () => {
+        let small = ring([[0, 0], [1, 0], [1, 1], [0, 0]]);
+        expect(enforceMinSpacing(small, 5)).toBe(small);
+    });
+});
+
+describe('processContours', () => {
+    it('processes the outer and inner contours and keeps the labels', () => {
+        let res = processContours([{ inner: false, label: 1, points: noisy }, { inner: true, label: 2, points: noisy.slice().reverse() }], { regularize: 'rectangle', smoothing: 'chaikin', smoothingIterations: 1 });
+        expect(res.map(c => [c.label, c.inner, c.points.length, c.initialCount])).toEqual([[1, false, 9, 9], [2, true, 9, 9]]);
+    });
+
+    it('rejects the unknown options', () => {
+        expect(() => processContours([], { smoothing: 'gauss' })).toThrow('Unknown smoothing');
+        expect(() => processContours([], { regularize: 'circle' })).toThrow('Unknown regularization');
+    });
+});
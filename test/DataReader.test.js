@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import TileState from 'ol/TileState';
+import TileGrid from 'ol/tilegrid/TileGrid';
+import Projection from 'ol/proj/Projection';
+import { createDataTileReader } from '../src/DataReader';
+
+/**
+ * Data tile of 2 x 2 pixels with 2 bands: the first band is x + 10 * y of the pixel coordinate, the second band is 1
+ * @param {ol/extent/Extent} extent Extent of the tile
+ * @param {ol/TileState} [state=TileState.LOADED] Initial state, the state after the loading is LOADED
+ */
+class FakeTile {
+
+    constructor(extent, state = TileState.LOADED) {
+        this.extent = extent;
+        this.state = state;
+        this.listeners = [];
+        this.loads = 0;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    getSize() {
+        return [2, 2];
+    }
+
+    getData() {
+        let data = new Float32Array(8);
+        for (let py = 0; py < 2; py++) {
+            for (let px = 0; px < 2; px++) {
+                let x = this.extent[0] + px * 0.5 * (this.extent[2] - this.extent[0]),
+                    y = this.extent[3] - (py + 1) * 0.5 * (this.extent[3] - this.extent[1]);
+                data[(py * 2 + px) * 2] = x + 10 * y;
+                data[(py * 2 + px) * 2 + 1] = 1;
+            }
+        }
+        return data;
+    }
+
+    load() {
+        this.loads++;
+        this.state = TileState.LOADING;
+        setTimeout(() => {
+            this.state = TileState.LOADED;
+            this.listeners.slice().forEach(l => l());
+        }, 0);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+    }
+}
+
+/**
+ * Source of the 2 x 2 tiles over the extent [0, 0, 4, 4] at the resolution 1
+ * @param {Object} [options]
+ * @param {function(Array<number>): ol/TileState} [options.state] Initial state of the tile by its coordinate
+ * @param {boolean} [options.wrapX]
+ */
+function createSource(options = {}) {
+    let grid = new TileGrid({ extent: [0, 0, 4, 4], resolutions: [1], tileSize: 2 }),
+        tiles = {};
+    return {
+        tiles: tiles,
+        getTileGrid: () => grid,
+        getWrapX: () => options.wrapX !== false,
+        getTile(z, x, y) {
+            let key = x + "/" + y;
+            if (!tiles[key]) tiles[key] = new FakeTile(grid.getTileCoordExtent([z, x, y]), options.state ? options.state([x, y]) : TileState.LOADED);
+            return tiles[key];
+        }
+    };
+}
+
+/**
+ * Request of the pixels (x, y) with the coordinates [x, 4 - y] at the resolution 1
+ * @param {number} width
+ * @param {number} height
+ * @param {ol/proj/Projection} projection
+ */
+function createRequest(width, height, projection) {
+    return { width: width, height: height, resolution: 1, projection: projection, getCoordinate: (x, y) => [x, 4 - y] };
+}
+
+/**
+ * @param {DataSnapshot} snapshot
+ * @param {number} band
+ * @param {number} width
+ * @return {Array<Array<number>>} Rows of the band values
+ */
+function rows(snapshot, band, width) {
+    let res = [];
+    for (let i = 0; i < snapshot.data.length / snapshot.bands; i++) {
+        if (i % width == 0) res.push([]);
+        res[res.length - 1].push(snapshot.data[i * snapshot.bands + band]);
+    }
+    return res;
+}
+
+describe('createDataTileReader', () => {
+    let local = new Projection({ code: "local", units: "pixels", extent: [0, 0, 4, 4] }),
+        global = new Projection({ code: "global", units: "m", extent: [0, 0, 4, 4], global: true });
+
+    it('samples the band values of the tiles', async () => {
+        let source = createSource(),
+            snapshot = await createDataTileReader(source)(createRequest(4, 4, local));
+        expect(snapshot.bands).toBe(2);
+        expect(rows(snapshot, 0, 4)).toEqual([
+            [30, 31, 32, 33],
+            [20, 21, 22, 23],
+            [10, 11, 12, 13],
+            [0, 1, 2, 3]
+        ]);
+        expect(rows(snapshot, 1, 4).flat().every(v => v === 1)).toBe(true);
+        expect(Object.keys(source.tiles)).toHaveLength(4);
+    });
+
+    it('has no values outside the tile grid and in the failed tiles', async () => {
+        let source = createSource({ state: ([x, y]) => x == 1 && y == 0 ? TileState.ERROR : TileState.LOADED }),
+            snapshot = await createDataTileReader(source)(createRequest(6, 2, local));
+        let values = rows(snapshot, 0, 6);
+        expect(values[0].slice(0, 2)).toEqual([30, 31]);
+        expect(values[0].slice(2).every(isNaN)).toBe(true); // the failed tile and outside the grid
+        expect(values[1].slice(4).every(isNaN)).toBe(true);
+    });
+
+    it('loads the idle tiles', async () => {
+        let source = createSource({ state: () => TileState.IDLE }),
+            snapshot = await createDataTileReader(source)(createRequest(2, 2, local));
+        expect(rows(snapshot, 0, 2)).toEqual([[30, 31], [20, 21]]);
+        expect(Object.values(source.tiles).map(t => t.loads)).toEqual([1]);
+    });
+
+    it('wraps the coordinates of the global projection', async () => {
+        let snapshot = await createDataTileReader(createSource())(createRequest(6, 1, global));
+        expect(rows(snapshot, 0, 6)).toEqual([[30, 31, 32, 33, 30, 31]]);
+
+        snapshot = await createDataTileReader(createSource({ wrapX: false }))(createRequest(6, 1, global));
+        expect(rows(snapshot, 0, 6)[0].slice(4).every(isNaN)).toBe(true);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { floodFill, selectByColor, ColorMetric, createHsvMetric, createBandMetric } from '../src/FloodFill';
+
+/**
+ * RGBA image from the rows of gray values
+ * @param {Array<Array<number>>} rows
+ */
+function gray(rows) {
+    let h = rows.length,
+        w = rows[0].length,
+        data = new Uint8ClampedArray(w * h * 4);
+    rows.forEach((row, y) => row.forEach((v, x) => data.set([v, v, v, 255], (y * w + x) * 4)));
+    return { data: data, width: w, height: h, bytes: 4 };
+}
+
+function count(mask) {
+    return mask.data.reduce((a, v) => a + v, 0);
+}
+
+describe('ColorMetric', () => {
+    let image = { data: new Uint8ClampedArray([10, 20, 30, 255, 15, 40, 29, 255, 0, 0, 0, 255, 255, 255, 255, 255]), width: 4, height: 1, bytes: 4 };
+
+    it('rgb is the max channel difference', () => {
+        let d = ColorMetric.rgb(image, 0);
+        expect(d(0)).toBe(0);
+        expect(d(1)).toBe(20);
+    });
+
+    it('lab is the perceptual distance between black and white', () => {
+        let d = ColorMetric.lab(image, 2);
+        expect(d(2)).toBe(0);
+        expect(d(3)).toBeCloseTo(100, 0);
+    });
+
+    it('luminance compares the brightness', () => {
+        let d = ColorMetric.luminance(image, 2);
+        expect(d(3)).toBeCloseTo(255, 5);
+    });
+
+    it('hsv ignores the hue of gray colors', () => {
+        let d = createHsvMetric({ hue: 1, saturation: 0, value: 0 })(image, 2);
+        expect(d(3)).toBe(0);
+        expect(ColorMetric.hsv.hsvWeights).toEqual({ hue: 1, saturation: 0.25, value: 0.25 });
+    });
+
+    it('band metric compares the chosen bands and never matches no data', () => {
+        let data = { data: new Float32Array([1, 100, 4, 50, NaN, 100]), width: 3, height: 1, bytes: 2 },
+            metric = createBandMetric([0]),
+            d = metric(data, 0);
+        expect(d(1)).toBe(3);
+        expect(d(2)).toBe(Infinity);
+        expect(createBandMetric([0, 1])(data, 0)(1)).toBe(50);
+        expect(metric.dataBands).toEqual([0]);
+    });
+});
+
+describe('floodFill', () => {
+    let image = gray([
+        [0, 0, 0, 200, 0],
+        [0, 200, 0, 200, 0],
+        [0, 0, 0, 200, 0],
+        [200, 200, 200, 200, 0]
+    ]);
+
+    it('fills the connected area and reports its bounds', () => {
+        let mask = floodFill(image, 0, 0, 10);
+        expect(count(mask)).toBe(8);
+        expect(mask.bounds).toEqual({ minX: 0, minY: 0, maxX: 2, maxY: 2 });
+        expect(mask.data[1 * 5 + 1]).toBe(0); // the island
+        expect(mask.data[4]).toBe(0); // the right column is not connected
+    });
+
+    it('includes the border pixels', () => {
+        let mask = floodFill(image, 0, 0, 10, null, true);
+        expect(mask.data[1 * 5 + 1]).toBe(1);
+        expect(mask.data[3]).toBe(1);
+        expect(mask.data[4]).toBe(0);
+    });
+
+    it('skips the visited pixels', () => {
+        let visited = new Uint8Array(20);
+        visited[1] = visited[5] = 1;
+        expect(floodFill(image, 1, 0, 10, visited)).toBeNull(); // the start pixel is visited
+        expect(count(floodFill(image, 0, 0, 10, visited))).toBe(1); // walled in
+        expect(count(floodFill(image, 2, 0, 10, visited))).toBe(5);
+    });
+
+    it('returns null if nothing is selected', () => {
+        let data = { data: new Float32Array([NaN, 1, 1, 1]), width: 2, height: 2, bytes: 1 };
+        expect(floodFill(data, 0, 0, 10, null, false, createBandMetric())).toBeNull();
+        expect(floodFill(data, 0, 0, 10, null, true, createBandMetric())).toBeNull();
+    });
+});
+
+describe('selectByColor', () => {
+    let image = gray([
+        [0, 200, 0],
+        [200, 200, 200],
+        [0, 200, 0]
+    ]);
+
+    it('selects all similar pixels regardless of the connectivity', () => {
+        let mask = selectByColor(image, 0, 0, 10);
+        expect(count(mask)).toBe(4);
+        expect(mask.bounds).toEqual({ minX: 0, minY: 0, maxX: 2, maxY: 2 });
+    });
+
+    it('skips the visited pixels and returns null if nothing is selected', () => {
+        let visited = new Uint8Array(9);
+        visited[2] = 1;
+        expect(count(selectByColor(image, 0, 0, 10, visited))).toBe(3);
+        visited[0] = 1;
+        expect(selectByColor(image, 0, 0, 10, visited)).toBeNull();
+
+        let data = { data: new Float32Array([NaN, 1]), width: 2, height: 1, bytes: 1 };
+        expect(selectByColor(data, 0, 0, 10, null, createBandMetric())).toBeNull();
+    });
+});
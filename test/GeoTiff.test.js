@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { encodeGeoTiff } from '../src/GeoTiff';
+
+/**
+ * Read the tags of the first IFD
+ * @param {ArrayBuffer} buffer
+ * @return {Object<number, Array<number>>} Values by tag
+ */
+function readTags(buffer) {
+    let view = new DataView(buffer),
+        ifd = view.getUint32(4, true),
+        n = view.getUint16(ifd, true),
+        size = { 3: 2, 4: 4, 12: 8 },
+        tags = {};
+    for (let i = 0; i < n; i++) {
+        let pos = ifd + 2 + i * 12,
+            tag = view.getUint16(pos, true),
+            type = view.getUint16(pos + 2, true),
+            count = view.getUint32(pos + 4, true),
+            offset = count * size[type] <= 4 ? pos + 8 : view.getUint32(pos + 8, true),
+            values = [];
+        for (let j = 0; j < count; j++) {
+            let p = offset + j * size[type];
+            values.push(type == 3 ? view.getUint16(p, true) : type == 4 ? view.getUint32(p, true) : view.getFloat64(p, true));
+        }
+        tags[tag] = values;
+    }
+    expect(view.getUint32(ifd + 2 + n * 12, true)).toBe(0); // one IFD
+    return tags;
+}
+
+const projection = { getCode: () => 'EPSG:3857', getUnits: () => 'm' };
+
+describe('encodeGeoTiff', () => {
+    it('writes the little-endian header, the image tags and the data', () => {
+        let data = new Uint8Array([0, 1, 1, 0, 1, 1]),
+            buffer = encodeGeoTiff({ data: data, width: 3, height: 2, transform: [10, 0, 0, -10, 105, 195], projection: projection }),
+            view = new DataView(buffer),
+            tags = readTags(buffer);
+
+        expect(view.getUint16(0)).toBe(0x4949);
+        expect(view.getUint16(2, true)).toBe(42);
+        expect(tags[256]).toEqual([3]);
+        expect(tags[257]).toEqual([2]);
+        expect(tags[258]).toEqual([8]);
+        expect(tags[277]).toEqual([1]);
+        expect(tags[279]).toEqual([6]);
+        expect(tags[273][0] % 8).toBe(0);
+        expect(Array.from(new Uint8Array(buffer, tags[273][0], 6))).toEqual(Array.from(data));
+    });
+
+    it('writes the pixel corner and the scale of the north-up raster', () => {
+        let tags = readTags(encodeGeoTiff({ data: new Uint8Array(6), width: 3, height: 2, transform: [10, 0, 0, -10, 105, 195], projection: projection }));
+        expect(tags[33550]).toEqual([10, 10, 0]);
+        expect(tags[33922]).toEqual([0, 0, 0, 100, 200, 0]);
+        expect(tags[34264]).toBeUndefined();
+        expect(tags[34735]).toEqual([1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 1, 3072, 0, 1, 3857]);
+    });
+
+    it('writes the model transformation of the rotated raster', () => {
+        let tags = readTags(encodeGeoTiff({ data: new Uint8Array(4), width: 2, height: 2, transform: [1, 1, 1, -1, 0, 0] }));
+        expect(tags[34264]).toEqual([1, 1, 0, -1, 1, -1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+        expect(tags[33550]).toBeUndefined();
+        expect(tags[34735]).toEqual([1, 1, 0, 2, 1024, 0, 1, 1, 1025, 0, 1, 1]); // no EPSG code
+    });
+
+    it('writes the float bands and the RGBA extra samples', () => {
+        let geographic = { getCode: () => 'EPSG:4326', getUnits: () => 'degrees' },
+            buffer = encodeGeoTiff({ data: new Float32Array([1.5, NaN]), width: 1, height: 1, bands: 2, transform: [1, 0, 0, -1, 0, 0], projection: geographic }),
+            tags = readTags(buffer),
+            view = new DataView(buffer);
+        expect(tags[258]).toEqual([32, 32]);
+        expect(tags[339]).toEqual([3, 3]);
+        expect(tags[338]).toEqual([0]);
+        expect(tags[34735].slice(4)).toEqual([1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]);
+        expect(view.getFloat32(tags[273][0], true)).toBe(1.5);
+        expect(view.getFloat32(tags[273][0] + 4, true)).toBeNaN();
+
+        tags = readTags(encodeGeoTiff({ data: new Uint8Array(4), width: 1, height: 1, bands: 4, rgba: true, transform: [1, 0, 0, -1, 0, 0] }));
+        expect(tags[262]).toEqual([2]);
+        expect(tags[338]).toEqual([2]);
+    });
+});
@@ -0,0 +1,664 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import Feature from 'ol/Feature';
+import Polygon, { fromExtent as polygonFromExtent } from 'ol/geom/Polygon';
+import VectorSource from 'ol/source/Vector';
+import MagicWandLib from 'magic-wand-tool';
+import MagicWand, { MaskOperation, MaskHistory, BrushMode } from '../src/MagicWand';
+import { createWand, ready, drag, currentMask, mask, pixels, count } from './helpers';
+
+describe('combineMasks', () => {
+    let a = mask(["110", "110"]),
+        b = mask(["11", "11"], 1, 0);
+
+    it('combines the masks with the offsets', () => {
+        expect(pixels(MagicWand.combineMasks(a, b, MaskOperation.UNION))).toEqual(["0,0", "0,1", "1,0", "1,1", "2,0", "2,1"]);
+        expect(pixels(MagicWand.combineMasks(a, b, MaskOperation.DIFFERENCE))).toEqual(["0,0", "0,1"]);
+        expect(pixels(MagicWand.combineMasks(a, b, MaskOperation.INTERSECTION))).toEqual(["1,0", "1,1"]);
+        expect(pixels(MagicWand.combineMasks(a, b, MaskOperation.XOR))).toEqual(["0,0", "0,1", "2,0", "2,1"]);
+    });
+
+    it('returns null if the result is empty', () => {
+        let far = mask(["1"], 10, 10);
+        expect(MagicWand.combineMasks(a, a, MaskOperation.DIFFERENCE)).toBeNull();
+        expect(MagicWand.combineMasks(a, a, MaskOperation.XOR)).toBeNull();
+        expect(MagicWand.combineMasks(a, far, MaskOperation.INTERSECTION)).toBeNull();
+        expect(pixels(MagicWand.combineMasks(a, far, MaskOperation.DIFFERENCE))).toEqual(pixels(a));
+    });
+});
+
+describe('resampleMask', () => {
+    let m = mask(["10", "01"], 2, 1);
+    m.resolution = 2;
+
+    it('resamples the mask by the nearest neighbor', () => {
+        let res = MagicWand.resampleMask(m, 1);
+        expect(res.resolution).toBe(1);
+        expect(pixels(res)).toEqual(["4,2", "4,3", "5,2", "5,3", "6,4", "6,5", "7,4", "7,5"]);
+        expect(pixels(MagicWand.resampleMask(res, 2))).toEqual(pixels(m));
+        expect(MagicWand.resampleMask(m, 2)).toBe(m);
+    });
+
+    it('restricts the result by the clip', () => {
+        expect(pixels(MagicWand.resampleMask(m, 1, { minX: 5, minY: 0, maxX: 10, maxY: 4 }))).toEqual(["5,2", "5,3", "6,4", "7,4"]);
+        expect(MagicWand.resampleMask(m, 1, { minX: 8, minY: 0, maxX: 10, maxY: 10 })).toBeNull();
+    });
+});
+
+describe('serializeMask', () => {
+    it('restores the same mask', () => {
+        let m = mask(["0000", "0110", "0100"], -5, 7);
+        m.resolution = 2;
+        m.projection = "EPSG:3857";
+        let obj = JSON.parse(JSON.stringify(MagicWand.serializeMask(m))),
+            res = MagicWand.deserializeMask(obj);
+        expect(Array.from(res.data)).toEqual(Array.from(m.data));
+        expect(res).toMatchObject({ width: m.width, height: m.height, bounds: m.bounds, globalOffset: m.globalOffset, resolution: 2, projection: "EPSG:3857" });
+    });
+
+    it('rejects the invalid data', () => {
+        let obj = MagicWand.serializeMask(mask(["01", "10"]));
+        expect(() => MagicWand.deserializeMask(null)).toThrow("Invalid mask data");
+        expect(() => MagicWand.deserializeMask(Object.assign({}, obj, { runs: "1,1" }))).toThrow("Invalid mask data");
+        expect(() => MagicWand.deserializeMask(Object.assign({}, obj, { runs: [1, 1] }))).toThrow("Invalid mask data");
+        expect(() => MagicWand.deserializeMask(Object.assign({}, obj, { runs: [1, 10] }))).toThrow("Invalid mask data");
+        expect(() => MagicWand.deserializeMask(Object.assign({}, obj, { width: 0 }))).toThrow("Invalid mask data");
+    });
+});
+
+describe('run-length encoding', () => {
+    it('starts with the run of 0', () => {
+        let data = new Uint8Array([1, 1, 0, 1, 0, 0]);
+        expect(Array.from(MagicWand.encodeRuns_(data))).toEqual([0, 2, 1, 1, 2]);
+        expect(Array.from(MagicWand.decodeRuns_([0, 2, 1, 1, 2], 6))).toEqual(Array.from(data));
+        expect(Array.from(MagicWand.encodeRuns_(new Uint8Array(3)))).toEqual([3]);
+    });
+
+    it('stops at the max amount of runs', () => {
+        let data = new Uint8Array([0, 1, 0, 1]);
+        expect(MagicWand.encodeRuns_(data, 3)).toBeNull();
+        expect(MagicWand.encodeRuns_(data, 4)).toHaveLength(4);
+    });
+
+    it('rejects the runs not matching the length', () => {
+        expect(MagicWand.decodeRuns_([2, 2], 5)).toBeNull();
+        expect(MagicWand.decodeRuns_([2, 4], 5)).toBeNull();
+        expect(MagicWand.decodeRuns_([2, -1, 4], 5)).toBeNull();
+    });
+});
+
+describe('MaskHistory', () => {
+    let m1 = mask(["10", "01"]),
+        m2 = mask(["11", "11"]),
+        noise = mask(["10101010", "01010101"]); // stored without the encoding
+
+    it('undoes and redoes the masks', () => {
+        let history = new MaskHistory();
+        history.addMask(null);
+        history.addMask(m1);
+        history.addMask(noise);
+        expect(history.get("allowUndo")).toBe(true);
+        expect(history.get("allowRedo")).toBe(false);
+        expect(history.getCurrent()).toBe(noise);
+        expect(Array.from(history.undo().data)).toEqual(Array.from(m1.data));
+        expect(history.undo()).toBeNull();
+        expect(history.undo()).toBeNull(); // nothing to undo
+        expect(history.get("allowUndo")).toBe(false);
+        expect(Array.from(history.redo().data)).toEqual(Array.from(m1.data));
+        expect(Array.from(history.redo().data)).toEqual(Array.from(noise.data));
+
+        // the new mask drops the redo branch
+        history.undo();
+        history.addMask(m2);
+        expect(history.getLength()).toBe(3);
+        expect(history.allowRedo()).toBe(false);
+        expect(history.addMask(undefined)).toBe(false);
+    });
+
+    it('keeps the limits', () => {
+        let history = new MaskHistory({ maxDepth: 2 });
+        [m1, m2, noise].forEach(m => history.addMask(m));
+        expect(history.getLength()).toBe(2);
+        expect(pixels(history.getMask(0))).toEqual(pixels(m2));
+
+        history = new MaskHistory({ maxMemory: 1 }); // the current mask is always kept
+        [m1, m2].forEach(m => history.addMask(m));
+        expect(history.getLength()).toBe(1);
+        expect(history.getMemoryUsage()).toBeGreaterThan(1);
+    });
+
+    it('restores the state', () => {
+        let history = new MaskHistory();
+        [null, m1, noise, m2].forEach(m => history.addMask(m));
+        history.undo();
+        let state = JSON.parse(JSON.stringify(history.getState())),
+            restored = new MaskHistory();
+        restored.setState(state);
+        expect(restored.getLength()).toBe(4);
+        expect(restored.current).toBe(2);
+        expect(restored.getMask(0)).toBeNull();
+        [m1, noise, m2].forEach((m, i) => expect(Array.from(restored.getMask(i + 1).data)).toEqual(Array.from(m.data)));
+
+        let limited = new MaskHistory({ maxDepth: 2 });
+        limited.setState(state);
+        expect(limited.getLength()).toBe(2);
+        expect(limited.current).toBe(0);
+        expect(() => limited.setState({})).toThrow("Invalid history data");
+    });
+
+    it('compresses the masks', () => {
+        let entry = MaskHistory.encode_(m2);
+        expect(entry.runs).toBeDefined();
+        expect(Array.from(MaskHistory.decode_(entry).data)).toEqual(Array.from(m2.data));
+        entry = MaskHistory.encode_(noise);
+        expect(entry.runs).toBeUndefined();
+        expect(Array.from(MaskHistory.decode_(entry).data)).toEqual(Array.from(noise.data));
+        expect(MaskHistory.decode_(MaskHistory.encode_(null))).toBeNull();
+    });
+});
+
+describe('morphology', () => {
+    let dot = mask(["000", "010", "000"], 10, 20);
+
+    it('dilates and erodes by the disk', () => {
+        let dilated = MagicWand.dilateMask(dot, 1);
+        expect(pixels(dilated)).toEqual(["10,21", "11,20", "11,21", "11,22", "12,21"]);
+        expect(count(MagicWand.dilateMask(dot, 1.5))).toBe(9);
+        expect(pixels(MagicWand.erodeMask(dilated, 1))).toEqual(["11,21"]);
+        expect(MagicWand.erodeMask(dot, 1)).toBeNull();
+    });
+
+    it('opens and closes the mask', () => {
+        let spur = mask(["1110000", "1111111", "1110000"]);
+        expect(pixels(MagicWand.openMask(spur, 1))).toEqual(pixels(mask(["0110000", "1111000", "0110000"]))); // the spur is removed
+        expect(MagicWand.openMask(dot, 1)).toBeNull();
+
+        let gap = mask(["11011", "11011", "11011", "11011", "11011"]);
+        expect(pixels(MagicWand.closeMask(gap, 1))).toEqual(pixels(mask(["11011", "11111", "11111", "11111", "11011"]))); // the disk doesn't reach the diagonal
+    });
+
+    it('fills the holes', () => {
+        let ring = mask(["11111", "10001", "10101", "10001", "11111", "00000", "11100", "10100", "11100"]);
+        let filled = MagicWand.fillMaskHoles(ring);
+        expect(count(filled)).toBe(25 + 9);
+        expect(count(MagicWand.fillMaskHoles(ring, 2))).toBe(count(ring) + 1); // only the small hole
+        expect(filled.resolution).toBe(ring.resolution);
+    });
+
+    it('removes the islands', () => {
+        let islands = mask(["1100001", "1100000", "0000000", "0001000", "0000100"]);
+        expect(pixels(MagicWand.removeMaskIslands(islands, 2))).toEqual(["0,0", "0,1", "1,0", "1,1", "3,3", "4,4"]); // the diagonal pixels are connected
+        expect(pixels(MagicWand.removeMaskIslands(islands, 3))).toEqual(["0,0", "0,1", "1,0", "1,1"]);
+        expect(MagicWand.removeMaskIslands(islands, 5)).toBeNull();
+    });
+});
+
+describe('selection modes', () => {
+    let wand;
+
+    afterEach(() => wand.dispose());
+
+    it('keeps the combination with the old mask when the drag removes all pixels', async () => {
+        ({ wand } = await createWand());
+        await drag(wand, [[5, 5]]);
+        expect(count(currentMask(wand))).toBe(200);
+
+        // the first step removes all pixels, the next steps still subtract from the old mask instead of replacing it
+        let masks = [];
+        wand.on("maskchange", (e) => masks.push(e.mask));
+        await drag(wand, [[5, 5], [8, 5], [12, 5]], { altKey: true });
+        expect(masks).toEqual([null, null, null]);
+        expect(currentMask(wand)).toBeNull();
+    });
+
+    it('does nothing when subtracting from or intersecting with the empty mask', async () => {
+        ({ wand } = await createWand());
+        let changes = 0;
+        wand.on("maskchange", () => changes++);
+        await drag(wand, [[5, 5], [9, 5]], { altKey: true });
+        await drag(wand, [[5, 5], [9, 5]], { ctrlKey: true, altKey: true });
+        expect(changes).toBe(0);
+        expect(wand.history.getLength()).toBe(0);
+
+        // the union with the empty mask is the new mask
+        await drag(wand, [[5, 5]], { ctrlKey: true });
+        expect(count(currentMask(wand))).toBe(200);
+    });
+});
+
+describe('zoom', () => {
+    let wand, map;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Select the whole viewport and zoom in 4 times (the mask of the view is restricted by the viewport)
+     */
+    async function selectAndZoomIn(options) {
+        ({ wand, map } = await createWand({ wand: options }));
+        await drag(wand, [[5, 5]]);
+        map.moveTo(null, 0.25);
+        await ready(wand);
+        expect(count(wand.tileMask_.mask)).toBe(3 * 20 * 3 * 10);
+    }
+
+    it('combines the selection with the whole mask at its resolution', async () => {
+        await selectAndZoomIn();
+        await drag(wand, [[5, 5]], { ctrlKey: true });
+        let res = currentMask(wand);
+        expect(res.resolution).toBe(1);
+        expect(count(res)).toBe(200);
+    });
+
+    it('paints with the brush on the whole mask', async () => {
+        await selectAndZoomIn();
+        wand.setBrush("erase");
+        let event = { originalEvent: { button: 2, clientX: 40, clientY: 20 } };
+        wand.handleDownEvent(event);
+        wand.handleUpEvent(event);
+        let res = currentMask(wand);
+        expect(res.resolution).toBe(1);
+        expect(count(res)).toBe(200 - 15); // only the pixels under the brush (radius 2.5 at the mask resolution) are erased
+    });
+
+    it('restricts the mask of the view only if it is 9 times larger than the viewport', async () => {
+        ({ wand, map } = await createWand());
+        await drag(wand, [[5, 5]]);
+        map.moveTo(null, 0.5);
+        await ready(wand);
+        expect(count(wand.tileMask_.mask)).toBe(40 * 20);
+        map.moveTo(null, 2);
+        await ready(wand);
+        expect(count(wand.tileMask_.mask)).toBe(10 * 5);
+        expect(count(wand.tileMask_.sourceMask)).toBe(200);
+    });
+
+    it('vectorizes the whole mask', async () => {
+        await selectAndZoomIn();
+        // the contours go through the pixel centers, the main world basis is shifted by less than a half pixel
+        let extent = wand.getGeometry({ simplifyTolerant: 0 }).getExtent();
+        [0.5, -9.5, 19.5, -0.5].forEach((v, i) => expect(extent[i]).toBeCloseTo(v, 0));
+    });
+
+    it('commits the whole mask', async () => {
+        let target = new VectorSource();
+        await selectAndZoomIn({ target: target });
+        let features = wand.commit({ simplifyTolerant: 0 });
+        expect(features).toHaveLength(1);
+        let extent = features[0].getGeometry().getExtent();
+        [0.5, -9.5, 19.5, -0.5].forEach((v, i) => expect(extent[i]).toBeCloseTo(v, 0));
+    });
+
+    it('exports the raster at the resolution of the mask', async () => {
+        await selectAndZoomIn();
+        let res = await wand.exportRaster({ format: "geotiff" });
+        expect([res.width, res.height]).toEqual([20, 10]);
+        expect(res.transform.slice(0, 4)).toEqual([1, 0, 0, -1]);
+        [0, -10, 20, 0].forEach((v, i) => expect(res.extent[i]).toBeCloseTo(v, 0));
+    });
+});
+
+describe('border', () => {
+    let wand, map;
+
+    afterEach(() => wand.dispose());
+
+    it('finds the border once per mask and moves it with the view', async () => {
+        ({ wand, map } = await createWand({ value: (x) => x < 10 ? 100 : 0 })); // the left half of the view
+        await drag(wand, [[5, 5]]);
+        let tile = wand.tileMask_,
+            alpha = (x, y) => tile.context.getImageData(x, y, 1, 1).data[3],
+            spy = vi.spyOn(MagicWandLib, "getBorderIndices");
+
+        tile.drawBorder();
+        expect([alpha(10, 5), alpha(9, 5), alpha(11, 5)]).toEqual([255, 0, 0]); // the fill includes the boundary pixels
+
+        map.moveTo([12, -5]); // 2 pixels to the right
+        tile.drawBorder();
+        expect([alpha(8, 5), alpha(10, 5)]).toEqual([255, 0]);
+        expect(spy).toHaveBeenCalledTimes(1);
+        spy.mockRestore();
+    });
+});
+
+describe('commit', () => {
+    let wand, target;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Release the 'Enter' key on the element
+     * @param {Element} element
+     */
+    function pressEnter(element) {
+        element.dispatchEvent(new KeyboardEvent("keyup", { keyCode: 13, bubbles: true }));
+    }
+
+    it('commits by the Enter key only if it is enabled and not typed in the form', async () => {
+        target = new VectorSource();
+        ({ wand } = await createWand({ wand: { target: target } }));
+        await drag(wand, [[5, 5]]);
+        pressEnter(document.body);
+        expect(target.getFeatures()).toHaveLength(0);
+
+        wand.commitKey = true;
+        let input = document.body.appendChild(document.createElement("input"));
+        pressEnter(input);
+        input.remove();
+        expect(target.getFeatures()).toHaveLength(0);
+
+        pressEnter(document.body);
+        expect(target.getFeatures()).toHaveLength(1);
+        expect(currentMask(wand)).toBeNull();
+    });
+
+    it('adds the empty mask to the history', async () => {
+        target = new VectorSource();
+        ({ wand } = await createWand({ wand: { target: target } }));
+        await drag(wand, [[5, 5]]);
+        wand.commit();
+        expect(wand.history.getLength()).toBe(2);
+        wand.undo();
+        expect(count(currentMask(wand))).toBe(200);
+    });
+});
+
+describe('merge', () => {
+    let wand, target;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Feature with the rectangle in the map coordinates (the pixel (x, y) of the view is the coordinate [x, -y])
+     * @param {ol/extent/Extent} extent
+     * @param {Object} properties
+     * @return {ol/Feature}
+     */
+    function rectangle(extent, properties) {
+        let f = new Feature(polygonFromExtent(extent));
+        f.setProperties(properties);
+        return f;
+    }
+
+    it('merges the touching polygons entirely and keeps their properties', async () => {
+        target = new VectorSource();
+        let parcel = rectangle([10, -4, 50, 0], { type: "forest", owner: "A" }), // goes far outside the mask
+            far = rectangle([30, -10, 40, -6], { type: "field" });
+        target.addFeatures([parcel, far]);
+
+        // the left half of the view
+        ({ wand } = await createWand({ value: (x) => x < 10 ? 100 : 0, wand: { target: target, merge: true } }));
+        await drag(wand, [[5, 5]]);
+        let features = wand.commit({ simplifyTolerant: 0, properties: { owner: "B" } });
+
+        expect(features).toHaveLength(1);
+        expect(target.getFeatures()).toHaveLength(2);
+        expect(target.hasFeature(far)).toBe(true);
+        expect(features[0].getProperties()).toMatchObject({ type: "forest", owner: "B", threshold: 1 });
+        let extent = features[0].getGeometry().getExtent();
+        [0.5, -9.5, 49.5, -0.5].forEach((v, i) => expect(extent[i]).toBeCloseTo(v, 0));
+    });
+
+    it('checks the overlap only around the mask', async () => {
+        // the large polygon with the hole around the view: 3 pixels from the mask
+        let frame = new Feature(new Polygon([[[-1000, -1000], [1000, -1000], [1000, 1000], [-1000, 1000], [-1000, -1000]], [[-2, -12], [-2, 2], [22, 2], [22, -12], [-2, -12]]]));
+        target = new VectorSource();
+        target.addFeature(frame);
+        ({ wand } = await createWand({ wand: { target: target, merge: true } }));
+        await drag(wand, [[5, 5]]);
+        let spy = vi.spyOn(wand, "rasterizeGeometry_");
+        expect(wand.commit()).toHaveLength(1);
+
+        expect(target.hasFeature(frame)).toBe(true);
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.results[0].value).toBeNull(); // the frame is outside the checked area
+    });
+});
+
+describe('vector export', () => {
+    let wand;
+
+    afterEach(() => wand.dispose());
+
+    it('transforms the polygons from the view projection', async () => {
+        ({ wand } = await createWand());
+        await drag(wand, [[5, 5]]);
+        let geojson = JSON.parse(wand.exportSelection("geojson", { simplifyTolerant: 0, featureProjection: "EPSG:4326" })), // the unknown option is ignored
+            coordinates = geojson.features[0].geometry.coordinates[0];
+        expect(coordinates.length).toBeGreaterThan(3);
+        coordinates.forEach(c => {
+            expect(c[0]).toBeGreaterThan(0); // the view is in meters near [0, 0]
+            expect(c[0]).toBeLessThan(0.001);
+            expect(c[1]).toBeLessThan(0);
+            expect(c[1]).toBeGreaterThan(-0.001);
+        });
+    });
+});
+
+describe('history', () => {
+    let wand;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Engine which never answers: the requests are rejected only by the cancellation
+     */
+    function createPendingEngine() {
+        let requests = [];
+        return {
+            requests: requests,
+            isAvailable: () => true,
+            fill: () => new Promise((resolve, reject) => requests.push(reject)),
+            cancel: () => requests.splice(0).forEach(reject => reject(Object.assign(new Error("cancelled"), { name: "AbortError" }))),
+            dispose: () => { }
+        };
+    }
+
+    it('keeps the order of the selection waiting for the worker and the import', async () => {
+        ({ wand } = await createWand({ value: (x) => x < 10 ? 100 : 0 }));
+        await drag(wand, [[5, 5]]); // the left half
+        let left = wand.exportMask(),
+            ends = 0;
+        wand.clearMask();
+        wand.on("selectend", () => ends++);
+
+        wand.engine_ = createPendingEngine();
+        drag(wand, [[15, 5]], { ctrlKey: true });
+        expect(wand.engine_.requests).toHaveLength(1);
+        wand.importMask(left);
+        expect(ends).toBe(1); // the selection is finished before the import
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(ends).toBe(1);
+        expect(wand.history.getLength()).toBe(3); // the left half, the cleared mask and the import
+        expect(pixels(currentMask(wand))).toEqual(pixels(MagicWand.deserializeMask(left.mask)));
+        wand.undo();
+        expect(currentMask(wand)).toBeNull();
+    });
+
+    it('drops the pending selection before the undo', async () => {
+        ({ wand } = await createWand({ value: (x) => x < 10 ? 100 : 0 }));
+        await drag(wand, [[5, 5]]); // the left half
+        let left = pixels(currentMask(wand));
+        await drag(wand, [[15, 5]], { ctrlKey: true });
+        expect(count(currentMask(wand))).toBe(200);
+
+        wand.engine_ = createPendingEngine();
+        drag(wand, [[5, 5]], { altKey: true });
+        expect(wand.undo()).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(wand.history.getLength()).toBe(2); // the unchanged mask isn't added
+        expect(wand.history.current).toBe(0);
+        expect(pixels(currentMask(wand))).toEqual(left);
+    });
+});
+
+describe('brush', () => {
+    let wand, map;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Paint the stroke through the pixels
+     * @param {Array<ol/pixel/Pixel>} points
+     * @param {Object} [keys] Modifier keys
+     */
+    function stroke(points, keys = {}) {
+        let event = (p) => ({ map: map, pixel: p, originalEvent: Object.assign({ button: 2, clientX: p[0], clientY: p[1] }, keys) });
+        expect(wand.handleDownEvent(event(points[0]))).toBe(true);
+        points.slice(1).forEach(p => wand.handleDragEvent(event(p)));
+        wand.handleUpEvent(event(points[points.length - 1]));
+    }
+
+    it('paints the stroke as one entry of the history', async () => {
+        ({ wand, map } = await createWand({ wand: { brush: BrushMode.PAINT, brushRadius: 1 } }));
+        stroke([[5, 5], [7, 5], [10, 5]]);
+        expect(count(currentMask(wand))).toBe(7 * 2); // the pixel centers within 1 pixel of the segment
+        expect(wand.history.getLength()).toBe(1);
+    });
+
+    it('erases with the subtract condition', async () => {
+        ({ wand, map } = await createWand({ wand: { brushRadius: 1 } }));
+        await drag(wand, [[5, 5]]);
+        wand.setBrush(BrushMode.PAINT);
+        stroke([[5, 5]]);
+        expect(count(currentMask(wand))).toBe(200);
+        stroke([[5, 5]], { altKey: true });
+        expect(count(currentMask(wand))).toBe(200 - 4);
+        expect(wand.history.getLength()).toBe(3);
+
+        wand.setBrush(BrushMode.ERASE);
+        stroke([[15, 5]]);
+        expect(count(currentMask(wand))).toBe(200 - 8);
+    });
+
+    it('measures the radius in the map units', async () => {
+        ({ wand, map } = await createWand({ wand: { brush: BrushMode.PAINT, brushRadius: 2 } }));
+        stroke([[5, 5]]);
+        expect(count(currentMask(wand))).toBe(12);
+        wand.clearMask();
+
+        wand.brushUnits = "map";
+        map.moveTo(null, 2);
+        await ready(wand);
+        stroke([[5, 5]]);
+        let res = currentMask(wand);
+        expect(res.resolution).toBe(2);
+        expect(count(res)).toBe(4); // the radius is 1 pixel at the resolution 2
+    });
+});
+
+describe('vectorization', () => {
+    let wand, map;
+
+    afterEach(() => wand.dispose());
+
+    /**
+     * Polygons of the mask in the viewport (the pixel center (x, y) is the coordinate [x + 0.5, -y - 0.5])
+     * @param {Array<string>} rows
+     * @return {Array<Array<Array<ol/coordinate/Coordinate>>>}
+     */
+    async function polygons(rows) {
+        ({ wand, map } = await createWand());
+        let offset = MagicWand.getMainWorldOffset(map),
+            m = mask(rows, offset.x, offset.y);
+        m.resolution = 1;
+        return wand.getPolygons_({ simplifyTolerant: 0 }, m);
+    }
+
+    /**
+     * @param {Array<ol/coordinate/Coordinate>} ring
+     * @return {number} Signed area (positive for the counter-clockwise ring)
+     */
+    function area(ring) {
+        let sum = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+        return sum / 2;
+    }
+
+    it('assigns the holes to the shells with the right-hand rule', async () => {
+        let res = await polygons([
+            "1111111111",
+            "1111111111",
+            "1100000011",
+            "1100000011",
+            "1100110011",
+            "1100110011",
+            "1100000011",
+            "1100000011",
+            "1111111111",
+            "1111111111"
+        ]);
+        expect(res).toHaveLength(2); // the shell with the hole and the island inside the hole
+        let [shell, island] = res[0].length == 2 ? res : [res[1], res[0]];
+        expect(shell).toHaveLength(2);
+        expect(island).toHaveLength(1);
+        expect(area(shell[0])).toBeGreaterThan(0);
+        expect(area(shell[1])).toBeLessThan(0);
+        expect(area(island[0])).toBeGreaterThan(0);
+
+        // the rings go through the pixel centers
+        expect(Math.min(...shell[1].map(c => c[0]))).toBe(1.5);
+        expect(Math.max(...shell[1].map(c => c[0]))).toBe(8.5);
+        expect(Math.min(...island[0].map(c => c[0]))).toBe(4.5);
+    });
+
+    it('fills the hole touching another hole', async () => {
+        let res = await polygons([
+            "11111111111",
+            "11111111111",
+            "11000100011",
+            "11000100011",
+            "11111111111",
+            "11111111111"
+        ]);
+        expect(res).toHaveLength(1);
+        expect(res[0]).toHaveLength(2); // the second hole is filled
+    });
+
+    it('fills the hole touching the shell', async () => {
+        let res = await polygons([
+            "11111",
+            "10001",
+            "11111"
+        ]);
+        expect(res).toHaveLength(1);
+        expect(res[0]).toHaveLength(1);
+        expect(area(res[0][0])).toBe(8);
+    });
+});
+
+describe('clip', () => {
+    let wand;
+
+    afterEach(() => wand.dispose());
+
+    it('restricts the selection by the extent and rasterizes it once', async () => {
+        ({ wand } = await createWand({ wand: { clip: [0, -10, 10, 0] } })); // the left half of the view
+        let spy = vi.spyOn(MagicWand, "fillPolygons_");
+        await drag(wand, [[5, 5]]);
+        expect(count(currentMask(wand))).toBe(100);
+        let calls = spy.mock.calls.length; // the area and its copies in the neighboring worlds
+        expect(calls).toBeGreaterThan(0);
+        await drag(wand, [[5, 5]]);
+        expect(spy).toHaveBeenCalledTimes(calls); // the cached area
+        spy.mockRestore();
+
+        wand.setClip(null);
+        await drag(wand, [[5, 5]]);
+        expect(count(currentMask(wand))).toBe(200);
+    });
+
+    it('takes the current features of the vector source', async () => {
+        let source = new VectorSource();
+        source.addFeature(new Feature(polygonFromExtent([0, -10, 5, 0])));
+        ({ wand } = await createWand({ wand: { clip: source } }));
+        await drag(wand, [[2, 5]]);
+        expect(count(currentMask(wand))).toBe(50);
+
+        source.addFeature(new Feature(polygonFromExtent([5, -10, 10, 0])));
+        await drag(wand, [[2, 5]]);
+        expect(count(currentMask(wand))).toBe(100);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { WorkerEngine } from '../src/WorkerEngine';
+
+/**
+ * Worker which keeps the messages until the test answers them
+ */
+class FakeWorker {
+
+    constructor() {
+        this.messages = [];
+        this.terminated = false;
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Answer the message
+     * @param {Object} message
+     * @param {*} [result]
+     */
+    respond(message, result = null) {
+        this.onmessage({ data: { id: message.id, result: result } });
+    }
+}
+
+/**
+ * @param {Promise} promise
+ * @return {Promise<string>} "resolved", "AbortError" or the error message
+ */
+function settle(promise) {
+    return promise.then(() => "resolved", (e) => e.name == "AbortError" ? e.name : e.message);
+}
+
+describe('WorkerEngine', () => {
+    let worker, engine;
+
+    beforeEach(() => {
+        worker = new FakeWorker();
+        engine = new WorkerEngine(worker);
+    });
+
+    it('keeps only the latest request of the channel in the queue', async () => {
+        let data = () => new Uint8Array(4),
+            first = settle(engine.getBorderIndices(data(), 2, 2)),
+            stale = settle(engine.getBorderIndices(data(), 2, 2)),
+            latest = engine.getBorderIndices(data(), 2, 2);
+        expect(worker.messages).toHaveLength(1);
+        expect(await stale).toBe("AbortError");
+
+        worker.respond(worker.messages[0], [0]);
+        expect(await first).toBe("resolved");
+        expect(worker.messages).toHaveLength(2); // the queued request is sent
+        worker.respond(worker.messages[1], [1, 2]);
+        expect(await latest).toEqual([1, 2]);
+    });
+
+    it('cancels the queued and the sent requests', async () => {
+        let sent = settle(engine.getBorderIndices(new Uint8Array(4), 2, 2)),
+            queued = settle(engine.getBorderIndices(new Uint8Array(4), 2, 2)),
+            contours = settle(engine.traceContours({ data: new Uint8Array(4), width: 2, height: 2, bounds: {} }, 0, 0));
+        engine.cancel("border");
+        expect(await queued).toBe("AbortError");
+
+        worker.respond(worker.messages[0], [0]); // the result of the cancelled request is ignored
+        expect(await sent).toBe("AbortError");
+        expect(worker.messages).toHaveLength(2); // nothing is sent after the cancelled request
+        worker.respond(worker.messages[1], []);
+        expect(await contours).toBe("resolved"); // another channel
+    });
+
+    it('cancels the fills of the previous snapshot', async () => {
+        engine.setSnapshot(new Uint8ClampedArray(4), 1, 1, 4);
+        let fill = settle(engine.fill({ x: 0, y: 0, threshold: 10, metric: "rgb" }));
+        engine.setSnapshot(new Uint8ClampedArray(4), 1, 1, 4);
+        worker.respond(worker.messages[1], {});
+        expect(await fill).toBe("AbortError");
+    });
+
+    it('rejects all requests if the worker fails', async () => {
+        let sent = settle(engine.getBorderIndices(new Uint8Array(4), 2, 2)),
+            queued = settle(engine.getBorderIndices(new Uint8Array(4), 2, 2));
+        worker.onerror();
+        expect(engine.isAvailable()).toBe(false);
+        expect(await sent).toBe("The worker is not available");
+        expect(await queued).toBe("The worker is not available");
+        expect(await settle(engine.getBorderIndices(new Uint8Array(4), 2, 2))).toBe("The worker is not available");
+
+        engine.dispose();
+        expect(worker.terminated).toBe(true);
+    });
+});
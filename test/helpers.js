@@ -0,0 +1,256 @@
+import BaseObject from 'ol/Object';
+import View from 'ol/View';
+import MagicWand from '../src/MagicWand';
+
+/**
+ * Minimal 2D context (jsdom has no canvas): paths are filled by the pixel centers, images are not drawn
+ * @param {HTMLCanvasElement} canvas
+ */
+function createContext(canvas) {
+    let image = null,
+        paths = [],
+        ring = null;
+
+    let pixels = () => {
+        if (!image || image.length != canvas.width * canvas.height * 4) image = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+        return image;
+    };
+
+    let inside = (px, py, evenOdd) => {
+        let winding = 0;
+        paths.forEach((r) => {
+            for (let i = 0, j = r.length - 1; i < r.length; j = i++) {
+                let [xi, yi] = r[i], [xj, yj] = r[j];
+                if ((yi > py) != (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) winding += yi > yj ? 1 : -1;
+            }
+        });
+        return evenOdd ? winding % 2 != 0 : winding != 0;
+    };
+
+    return {
+        canvas: canvas,
+        globalCompositeOperation: "source-over",
+        save() { },
+        restore() { },
+        drawImage() { },
+        beginPath() {
+            paths = [];
+        },
+        moveTo(x, y) {
+            ring = [[x, y]];
+            paths.push(ring);
+        },
+        lineTo(x, y) {
+            ring.push([x, y]);
+        },
+        closePath() { },
+        fill(rule) {
+            let data = pixels();
+            for (let y = 0; y < canvas.height; y++) {
+                for (let x = 0; x < canvas.width; x++) {
+                    if (inside(x + 0.5, y + 0.5, rule == "evenodd")) data.fill(255, (y * canvas.width + x) * 4, (y * canvas.width + x + 1) * 4);
+                }
+            }
+        },
+        clearRect() {
+            pixels().fill(0);
+        },
+        createImageData(w, h) {
+            return { data: new Uint8ClampedArray(w * h * 4), width: w, height: h };
+        },
+        getImageData(x, y, w, h) {
+            let data = pixels(),
+                res = new Uint8ClampedArray(w * h * 4);
+            for (let j = 0; j < h; j++) res.set(data.subarray(((y + j) * canvas.width + x) * 4, ((y + j) * canvas.width + x + w) * 4), j * w * 4);
+            return { data: res, width: w, height: h };
+        },
+        putImageData(imgData) {
+            pixels().set(imgData.data.subarray(0, pixels().length));
+        }
+    };
+}
+
+HTMLCanvasElement.prototype.getContext = function (type) {
+    if (type != "2d") return null;
+    if (!this.context_) this.context_ = createContext(this);
+    return this.context_;
+};
+
+/**
+ * Map without the renderer: the view is not rotated, 'render' dispatches 'postrender' and 'rendercomplete' asynchronously
+ */
+export class StubMap extends BaseObject {
+
+    /**
+     * @param {ol/View} view
+     * @param {ol/size/Size} size
+     */
+    constructor(view, size) {
+        super({ size: size });
+        this.view_ = view;
+        this.target_ = document.createElement("div");
+        this.renderPending_ = false;
+    }
+
+    getView() {
+        return this.view_;
+    }
+
+    getSize() {
+        return this.get("size");
+    }
+
+    setSize(size) {
+        this.set("size", size);
+    }
+
+    getTargetElement() {
+        return this.target_;
+    }
+
+    getEventPixel(e) {
+        return [e.clientX, e.clientY];
+    }
+
+    getPixelFromCoordinate(c) {
+        let center = this.view_.getCenter(),
+            resolution = this.view_.getResolution(),
+            size = this.getSize();
+        return [(c[0] - center[0]) / resolution + size[0] / 2, (center[1] - c[1]) / resolution + size[1] / 2];
+    }
+
+    getCoordinateFromPixel(p) {
+        let center = this.view_.getCenter(),
+            resolution = this.view_.getResolution(),
+            size = this.getSize();
+        return [center[0] + (p[0] - size[0] / 2) * resolution, center[1] - (p[1] - size[1] / 2) * resolution];
+    }
+
+    render() {
+        if (this.renderPending_) return;
+        this.renderPending_ = true;
+        setTimeout(() => {
+            this.renderPending_ = false;
+            this.dispatchEvent("postrender");
+            this.dispatchEvent("rendercomplete");
+        }, 0);
+    }
+
+    /**
+     * Move the view and fire 'moveend' as the map does
+     * @param {ol/coordinate/Coordinate} [center]
+     * @param {number} [resolution]
+     */
+    moveTo(center, resolution) {
+        if (center) this.view_.setCenter(center);
+        if (resolution) this.view_.setResolution(resolution);
+        this.render();
+        this.dispatchEvent("moveend");
+    }
+}
+
+/**
+ * Create the wand through its constructor on the stub map. The snapshot is read by the data reader: one band with the values
+ * of the function. The view is in EPSG:3857, the pixel (x, y) of the viewport is the coordinate [x, -y] at the resolution 1
+ * @param {Object} [options]
+ * @param {ol/size/Size} [options.size=[20, 10]] Size of the map
+ * @param {function(number, number): number} [options.value] Value of the coordinate (0 by default)
+ * @param {Object} [options.wand] Options of the wand
+ * @return {Promise<Object>} {MagicWand} wand, {StubMap} map, when the snapshot is ready
+ */
+export function createWand(options = {}) {
+    let size = options.size || [20, 10],
+        value = options.value || (() => 0),
+        view = new View({ projection: "EPSG:3857", center: [size[0] / 2, -size[1] / 2], resolution: 1 }),
+        map = new StubMap(view, size);
+
+    let reader = (request) => {
+        let data = new Float32Array(request.width * request.height);
+        for (let y = 0; y < request.height; y++) {
+            for (let x = 0; x < request.width; x++) {
+                let c = request.getCoordinate(x + 0.5, y + 0.5);
+                data[y * request.width + x] = value(c[0], c[1]);
+            }
+        }
+        return { data: data, bands: 1 };
+    };
+
+    let wand = new MagicWand(Object.assign({ layers: [], dataReader: reader, colorThreshold: 1, blurRadius: 0, hatchTimeout: 0 }, options.wand));
+    wand.setMap(map);
+
+    return ready(wand).then(() => ({ wand: wand, map: map }));
+}
+
+/**
+ * Wait for the snapshot of the wand
+ * @param {MagicWand} wand
+ * @return {Promise}
+ */
+export function ready(wand) {
+    return wand.tileMask_.ready();
+}
+
+/**
+ * Select with the pointer: down at the first pixel, drag through the other pixels and up
+ * @param {MagicWand} wand
+ * @param {Array<ol/pixel/Pixel>} pixels
+ * @param {Object} [keys] Modifier keys: {boolean} ctrlKey, altKey, shiftKey
+ * @return {Promise} Resolved when the selection is finished
+ */
+export function drag(wand, pixels, keys = {}) {
+    let event = (p) => ({ map: wand.getMap(), pixel: p, originalEvent: Object.assign({ button: 2, clientX: p[0], clientY: p[1] }, keys) });
+    let end = new Promise((resolve) => wand.once("selectend", resolve));
+    if (!wand.handleDownEvent(event(pixels[0]))) return Promise.resolve(null);
+    pixels.slice(1).forEach(p => wand.handleDragEvent(event(p)));
+    wand.handleUpEvent(event(pixels[pixels.length - 1]));
+    return end;
+}
+
+/**
+ * Current mask of the wand at its own resolution
+ * @param {MagicWand} wand
+ * @return {Mask} null if there is no selection
+ */
+export function currentMask(wand) {
+    let obj = wand.exportMask().mask;
+    return obj ? MagicWand.deserializeMask(obj) : null;
+}
+
+/**
+ * Mask from the rows of 0 and 1
+ * @param {Array<string>} rows
+ * @param {number} [x=0] Offset in the main world
+ * @param {number} [y=0]
+ * @return {Mask}
+ */
+export function mask(rows, x = 0, y = 0) {
+    let w = rows[0].length,
+        h = rows.length,
+        data = new Uint8Array(w * h);
+    rows.forEach((row, j) => row.split("").forEach((v, i) => data[j * w + i] = +v));
+    return MagicWand.cropMask_(data, w, h, { x: x, y: y });
+}
+
+/**
+ * Selected pixels in the main world basis
+ * @param {Mask} m
+ * @return {Array<string>} "x,y" sorted
+ */
+export function pixels(m) {
+    let res = [];
+    if (!m) return res;
+    for (let y = m.bounds.minY; y <= m.bounds.maxY; y++) {
+        for (let x = m.bounds.minX; x <= m.bounds.maxX; x++) {
+            if (m.data[y * m.width + x] === 1) res.push(`${x + m.globalOffset.x},${y + m.globalOffset.y}`);
+        }
+    }
+    return res.sort();
+}
+
+/**
+ * @param {Mask} m
+ * @return {number} Amount of the selected pixels
+ */
+export function count(m) {
+    return pixels(m).length;
+}